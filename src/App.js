@@ -13,39 +13,100 @@ import Breadcrumbs from '@material-ui/core/Breadcrumbs';
 import Link from '@material-ui/core/Link';
 import Container from '@material-ui/core/Container';
 import Button from '@material-ui/core/Button';
+import ListItemText from '@material-ui/core/ListItemText';
+import Typography from '@material-ui/core/Typography';
+import TextField from '@material-ui/core/TextField';
+import MenuItem from '@material-ui/core/MenuItem';
 
 // local components
 import ErrorBoundary from './components/ErrorBoundary';
 import TawkifyFormListInput from './components/TawkifyFormListInput';
+import TawkifyListGroup from './components/TawkifyListGroup';
+import TawkifyForm from './components/TawkifyForm';
+import TawkifyI18nProvider from './components/TawkifyI18nProvider';
 import NotFoundPage from './components/NotFoundPage';
+import FormikExamplePage from './components/FormikExamplePage';
+import ReactHookFormExamplePage from './components/ReactHookFormExamplePage';
+import VirtualizedExamplePage from './components/VirtualizedExamplePage';
 import DevErrorComponent from './components/DevErrorComponent';
 
+// local deps
+import { matches } from './util/validators.util';
+import { uniqueId } from './util/id.util';
+
 const LinkRouter = (props) => <Link {...props} component={RouterLink} />;
 
+// simulates checking a promo code against the server
+const PROMO_CODES = ['TAWKIFY10', 'LOVE2021'];
+const checkPromoCode = (value) =>
+  new Promise((resolve) =>
+    setTimeout(
+      () =>
+        resolve(
+          PROMO_CODES.includes(value.toUpperCase()) || 'Unknown promo code',
+        ),
+      1000,
+    ),
+  );
+
+// contacts are typed as "Name <email>"
+const CONTACT_PATTERN = /^(.+?)\s*<([^\s@]+@[^\s@]+\.[^\s@]+)>$/;
+const validateContact = matches(
+  CONTACT_PATTERN,
+  'Enter a contact as Name <name@example.com>',
+);
+const createContact = (text, prevContact) => {
+  const [, name = text, email = ''] = text.trim().match(CONTACT_PATTERN) || [];
+  return {
+    id: prevContact ? prevContact.id : uniqueId('contact'),
+    name,
+    email,
+  };
+};
+
+// demo locales, "en-rtl" shows the right-to-left layout with English messages
+const LOCALES = {
+  'en': { label: 'English', locale: 'en' },
+  'es': { label: 'Español', locale: 'es' },
+  'en-rtl': { label: 'English (right-to-left)', locale: 'en', dir: 'rtl' },
+};
+
+const INTERESTS = [
+  'Art',
+  'Cooking',
+  'Dancing',
+  'Hiking',
+  'Movies',
+  'Music',
+  'Photography',
+  'Reading',
+  'Travel',
+  'Yoga',
+];
+
 export default function App() {
   const [list2, setList2] = React.useState(['Controlled list item 1']);
   const list4InitialValue = ['disabled 1', 'disabled 2', 'disabled 3'];
-  const [lists, setLists] = React.useState({
-    list4: list4InitialValue,
-  });
-  const handleSubmit = () => {
-    console.log('submitting...', lists);
+  const handleSubmit = (event) => {
+    // every list submits its items through hidden "listN[]" inputs
+    const data = new URLSearchParams(new FormData(event.target));
+    console.log('submitting...', data.toString());
     return axios
-      .post(
-        '/form',
-        Object.assign(lists, {
-          list2: list2,
-        }),
-      )
+      .post('/form', data)
       .then((res) =>
         console.log('Form post succeeded', {
           status: res.status,
           msg: res.data.msg,
         }),
       )
-      .catch((err) => console.error(err));
+      .catch((err) => {
+        console.error(err);
+        // rethrown so TawkifyForm keeps the lists' saved drafts
+        throw err;
+      });
   };
   const [errState, setErrState] = React.useState(false);
+  const [demoLocale, setDemoLocale] = React.useState('en');
 
   return (
     <ErrorBoundary>
@@ -55,69 +116,257 @@ export default function App() {
             <LinkRouter color="inherit" href="/" to="/">
               Tawkify Form
             </LinkRouter>
-          </Breadcrumbs>
-          <Switch>
-            <Route path="/">
-              <Container style={{ maxWidth: '800px' }}>
-                <form>
-                  <div>
-                    <TawkifyFormListInput
-                      label={'Regular list (uncontrolled,  max 3)'}
-                      placeholder={'A placeholder value'}
-                      update={(list) => {
-                        setLists({ ...lists, list1: list });
-                        console.log('list 1 updated', list);
-                      }}
-                      max={3}
-                    />
-                  </div>
-                  <div>
-                    <TawkifyFormListInput
-                      label={'Regular list (controlled)'}
-                      update={(list) => console.log('list 2 updated', list)}
-                      list={list2}
-                      setList={setList2}
-                    />
-                  </div>
-                  <div>
-                    <TawkifyFormListInput
-                      label={'Regular list (uncontrolled, required)'}
-                      required
-                      update={(list) => {
-                        setLists({ ...lists, list3: list });
-                        console.log('list 3 updated', list);
-                      }}
-                    />
-                  </div>
-                  <div>
-                    <TawkifyFormListInput
-                      label={'Regular list (uncontrolled, disabled)'}
-                      disabled
-                      placeholder={'A placeholder value'}
-                      list={list4InitialValue}
-                    />
-                  </div>
-                  <Button
-                    variant={'outlined'}
-                    color={'primary'}
-                    onClick={handleSubmit}
-                  >
-                    Submit
-                  </Button>
-                  <Button
-                    variant={'outlined'}
-                    color={'secondary'}
-                    onClick={() => setErrState(true)}
-                    style={{ 'marginLeft': '10px' }}
-                  >
-                    Throw an error
-                  </Button>
-                  <DevErrorComponent errState={errState} />
-                </form>
-              </Container>
+            <Route path="/examples/formik">
+              <Typography color="textPrimary">Formik</Typography>
             </Route>
-            <Route component={NotFoundPage} />
-          </Switch>
+            <Route path="/examples/react-hook-form">
+              <Typography color="textPrimary">React Hook Form</Typography>
+            </Route>
+            <Route path="/examples/virtualized">
+              <Typography color="textPrimary">Virtualized list</Typography>
+            </Route>
+          </Breadcrumbs>
+          <TextField
+            select
+            label={'Language'}
+            value={demoLocale}
+            onChange={(e) => setDemoLocale(e.target.value)}
+            style={{ marginLeft: '10px', minWidth: '200px' }}
+          >
+            {Object.keys(LOCALES).map((key) => (
+              <MenuItem key={key} value={key}>
+                {LOCALES[key].label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <TawkifyI18nProvider
+            locale={LOCALES[demoLocale].locale}
+            dir={LOCALES[demoLocale].dir}
+          >
+            <Switch>
+              <Route path="/examples/formik">
+                <Container style={{ maxWidth: '800px' }}>
+                  <FormikExamplePage />
+                </Container>
+              </Route>
+              <Route path="/examples/react-hook-form">
+                <Container style={{ maxWidth: '800px' }}>
+                  <ReactHookFormExamplePage />
+                </Container>
+              </Route>
+              <Route path="/examples/virtualized">
+                <Container style={{ maxWidth: '800px' }}>
+                  <VirtualizedExamplePage />
+                </Container>
+              </Route>
+              <Route path="/">
+                <Container style={{ maxWidth: '800px' }}>
+                  <Typography variant="body2">
+                    Form library examples:{' '}
+                    <LinkRouter to="/examples/formik">Formik</LinkRouter>,{' '}
+                    <LinkRouter to="/examples/react-hook-form">
+                      React Hook Form
+                    </LinkRouter>
+                    . Long lists:{' '}
+                    <LinkRouter to="/examples/virtualized">
+                      Virtualized list benchmark
+                    </LinkRouter>
+                  </Typography>
+                  <TawkifyForm onSubmit={handleSubmit}>
+                    <div>
+                      <TawkifyFormListInput
+                        label={
+                          'Regular list (uncontrolled,  max 3, draft saved)'
+                        }
+                        placeholder={'A placeholder value'}
+                        name={'list1'}
+                        update={(list) => console.log('list 1 updated', list)}
+                        max={3}
+                        persistKey={'demo-list1'}
+                        showCount
+                      />
+                    </div>
+                    <div>
+                      <TawkifyFormListInput
+                        label={'Regular list (controlled, draft saved)'}
+                        name={'list2'}
+                        update={(list) => console.log('list 2 updated', list)}
+                        list={list2}
+                        setList={setList2}
+                        persistKey={'demo-list2'}
+                      />
+                    </div>
+                    <div>
+                      <TawkifyFormListInput
+                        label={'Regular list (uncontrolled, required, min 2)'}
+                        required
+                        min={2}
+                        showCount
+                        name={'list3'}
+                        update={(list) => console.log('list 3 updated', list)}
+                      />
+                    </div>
+                    <div>
+                      <TawkifyFormListInput
+                        label={
+                          'Email list (uncontrolled, validated, no duplicates)'
+                        }
+                        placeholder={'name@example.com, other@example.com'}
+                        itemType={'email'}
+                        normalize={['trim', 'lowercase']}
+                        duplicates={'reject'}
+                        duplicatesIgnoreCase
+                        delimiters
+                        name={'list5'}
+                        update={(list) => console.log('list 5 updated', list)}
+                      />
+                    </div>
+                    <div>
+                      <TawkifyFormListInput
+                        label={'Promo codes (uncontrolled, async validation)'}
+                        placeholder={'TAWKIFY10'}
+                        validate={checkPromoCode}
+                        name={'list6'}
+                        update={(list) => console.log('list 6 updated', list)}
+                      />
+                    </div>
+                    <div>
+                      <TawkifyFormListInput
+                        label={
+                          'Interests (uncontrolled, chips, suggestions only)'
+                        }
+                        placeholder={'Start typing, e.g. "mu"'}
+                        variant={'chips'}
+                        suggestions={INTERESTS}
+                        freeSolo={false}
+                        name={'list10'}
+                        update={(list) => console.log('list 10 updated', list)}
+                      />
+                    </div>
+                    <div>
+                      <TawkifyFormListInput
+                        label={'Contacts (uncontrolled, object items)'}
+                        placeholder={'Jane Doe <jane@example.com>'}
+                        validate={validateContact}
+                        createItem={createContact}
+                        getItemKey={(contact) => contact.id}
+                        getItemLabel={(contact) =>
+                          `${contact.name} <${contact.email}>`
+                        }
+                        renderItem={(contact) => (
+                          <ListItemText
+                            primary={contact.name}
+                            secondary={contact.email}
+                          />
+                        )}
+                        name={'list9'}
+                        submitFormat={'json'}
+                        update={(list) => console.log('list 9 updated', list)}
+                      />
+                    </div>
+                    <TawkifyListGroup>
+                      <div>
+                        <TawkifyFormListInput
+                          label={'Inbox (drag items to the list below)'}
+                          defaultList={[
+                            'Call back Sam',
+                            'Reschedule date',
+                            'Send feedback form',
+                          ]}
+                          selectable
+                          filterable
+                          sortable
+                          name={'list7'}
+                          update={(list) => console.log('list 7 updated', list)}
+                        />
+                      </div>
+                      <div>
+                        <TawkifyFormListInput
+                          label={
+                            'Follow up (max 2, drag items to the list above)'
+                          }
+                          max={2}
+                          name={'list8'}
+                          update={(list) => console.log('list 8 updated', list)}
+                        />
+                      </div>
+                    </TawkifyListGroup>
+                    <div>
+                      <TawkifyFormListInput
+                        label={'Regular list (semi-controlled, disabled)'}
+                        name={'list4'}
+                        disabled
+                        placeholder={'A placeholder value'}
+                        list={list4InitialValue}
+                      />
+                    </div>
+                    <div>
+                      <TawkifyFormListInput
+                        label={'Regular list (read only)'}
+                        name={'list11'}
+                        readOnly
+                        defaultList={['read only 1', 'read only 2']}
+                      />
+                    </div>
+                    <div>
+                      <TawkifyFormListInput
+                        label={'Steps (uncontrolled, numbered, comfortable)'}
+                        name={'list12'}
+                        marker={'numbered'}
+                        size={'comfortable'}
+                        slotProps={{ input: { variant: 'outlined' } }}
+                        defaultList={['Sign up', 'Fill in the profile']}
+                      />
+                    </div>
+                    <div>
+                      <TawkifyFormListInput
+                        label={'Agenda (tree, 3 levels, max 4 per level)'}
+                        name={'list13'}
+                        tree
+                        persistKey={'demo-agenda'}
+                        persistOptions={{ storage: 'session' }}
+                        maxDepth={3}
+                        max={4}
+                        marker={'numbered'}
+                        defaultList={[
+                          {
+                            item: 'Welcome',
+                            children: [{ item: 'Introductions' }],
+                          },
+                          {
+                            item: 'Roadmap',
+                            children: [
+                              { item: 'Q3 review' },
+                              { item: 'Q4 goals' },
+                            ],
+                          },
+                          { item: 'Questions' },
+                        ]}
+                        update={(list) => console.log('list 13 updated', list)}
+                      />
+                    </div>
+                    <Button
+                      type="submit"
+                      variant={'outlined'}
+                      color={'primary'}
+                    >
+                      Submit
+                    </Button>
+                    <Button
+                      variant={'outlined'}
+                      color={'secondary'}
+                      onClick={() => setErrState(true)}
+                      style={{ 'marginLeft': '10px' }}
+                    >
+                      Throw an error
+                    </Button>
+                    <DevErrorComponent errState={errState} />
+                  </TawkifyForm>
+                </Container>
+              </Route>
+              <Route component={NotFoundPage} />
+            </Switch>
+          </TawkifyI18nProvider>
         </div>
       </Router>
     </ErrorBoundary>
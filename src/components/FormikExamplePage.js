@@ -0,0 +1,69 @@
+// deps
+import React from 'react';
+import { Formik, Form } from 'formik';
+import axios from 'axios';
+
+// components
+import Button from '@material-ui/core/Button';
+
+// local components
+import FormikTawkifyList from './FormikTawkifyList';
+
+const INITIAL_VALUES = {
+  emails: [],
+  tags: ['Formik'],
+};
+
+export default function FormikExamplePage() {
+  // formik resets isSubmitting once the returned promise settles
+  const handleSubmit = (values) => {
+    console.log('submitting...', values);
+    return axios
+      .post('/form', values)
+      .then((res) =>
+        console.log('Form post succeeded', {
+          status: res.status,
+          msg: res.data.msg,
+        }),
+      )
+      .catch((err) => console.error(err));
+  };
+
+  return (
+    <Formik initialValues={INITIAL_VALUES} onSubmit={handleSubmit}>
+      {({ isSubmitting }) => (
+        <Form noValidate>
+          <div>
+            <FormikTawkifyList
+              name={'emails'}
+              label={'Emails (Formik, required)'}
+              placeholder={'name@example.com'}
+              itemType={'email'}
+              duplicates={'reject'}
+              delimiters
+              required
+            />
+          </div>
+          <div>
+            <FormikTawkifyList
+              name={'tags'}
+              label={'Tags (Formik, min 2, max 4)'}
+              variant={'chips'}
+              min={2}
+              max={4}
+              showCount
+            />
+          </div>
+          <Button
+            type="submit"
+            variant={'outlined'}
+            color={'primary'}
+            disabled={isSubmitting}
+          >
+            Submit
+          </Button>
+        </Form>
+      )}
+    </Formik>
+  );
+}
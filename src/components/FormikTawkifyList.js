@@ -0,0 +1,49 @@
+// deps
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useField } from 'formik';
+
+// local components
+import TawkifyFormListInput from './TawkifyFormListInput';
+import { useTawkifyI18n } from './TawkifyI18nProvider';
+
+// local deps
+import { validateListLength } from '../util/validators.util';
+
+FormikTawkifyList.propTypes = {
+  // path of the list in the Formik values
+  name: PropTypes.string.isRequired,
+  required: PropTypes.bool,
+  min: PropTypes.number,
+  max: PropTypes.number,
+};
+
+/**
+ * TawkifyFormListInput bound to a Formik field. The list is stored in the Formik values,
+ * required / min / max are checked by Formik's field level validation, and the error is
+ * shown once the field was touched (blurred or submitted).
+ * Any other props are passed to TawkifyFormListInput.
+ */
+export default function FormikTawkifyList(props) {
+  const { name, required, min, max, ...listProps } = props;
+  const { t } = useTawkifyI18n(listProps.messages);
+  const [field, meta, helpers] = useField({
+    name,
+    // formik expects undefined for a valid field
+    validate: (value) =>
+      validateListLength(value || [], { required, min, max }, t) || undefined,
+  });
+  return (
+    <TawkifyFormListInput
+      {...listProps}
+      name={name}
+      required={required}
+      min={min}
+      max={max}
+      list={field.value || []}
+      setList={helpers.setValue}
+      onBlur={() => helpers.setTouched(true)}
+      error={meta.touched && meta.error ? meta.error : undefined}
+    />
+  );
+}
@@ -0,0 +1,31 @@
+// deps
+import React from 'react';
+import PropTypes from 'prop-types';
+
+HighlightedText.propTypes = {
+  text: PropTypes.string.isRequired,
+  query: PropTypes.string,
+};
+
+/**
+ * Render text with every (case-insensitive) match of query in bold
+ */
+export default function HighlightedText(props) {
+  const { text, query } = props;
+  const needle = (query || '').trim().toLowerCase();
+  if (!needle) return text;
+  const haystack = text.toLowerCase();
+  const parts = [];
+  let start = 0;
+  let idx = haystack.indexOf(needle);
+  while (idx >= 0) {
+    if (idx > start) parts.push(text.slice(start, idx));
+    parts.push(
+      <strong key={idx}>{text.slice(idx, idx + needle.length)}</strong>,
+    );
+    start = idx + needle.length;
+    idx = haystack.indexOf(needle, start);
+  }
+  if (start < text.length) parts.push(text.slice(start));
+  return <>{parts}</>;
+}
@@ -0,0 +1,72 @@
+// deps
+import React from 'react';
+import { useForm } from 'react-hook-form';
+import axios from 'axios';
+
+// components
+import Button from '@material-ui/core/Button';
+
+// local components
+import TawkifyFormListInput from './TawkifyFormListInput';
+
+// local deps
+import useTawkifyListField from '../hooks/useTawkifyListField';
+
+export default function ReactHookFormExamplePage() {
+  const { control, handleSubmit, formState } = useForm({
+    defaultValues: {
+      emails: [],
+      tags: ['React Hook Form'],
+    },
+  });
+  const emails = useTawkifyListField({
+    name: 'emails',
+    control,
+    required: true,
+  });
+  const tags = useTawkifyListField({ name: 'tags', control, min: 2, max: 4 });
+
+  const onSubmit = (values) => {
+    console.log('submitting...', values);
+    return axios
+      .post('/form', values)
+      .then((res) =>
+        console.log('Form post succeeded', {
+          status: res.status,
+          msg: res.data.msg,
+        }),
+      )
+      .catch((err) => console.error(err));
+  };
+
+  return (
+    <form noValidate onSubmit={handleSubmit(onSubmit)}>
+      <div>
+        <TawkifyFormListInput
+          {...emails}
+          label={'Emails (React Hook Form, required)'}
+          placeholder={'name@example.com'}
+          itemType={'email'}
+          duplicates={'reject'}
+          delimiters
+        />
+      </div>
+      <div>
+        <TawkifyFormListInput
+          {...tags}
+          label={'Tags (React Hook Form, min 2, max 4)'}
+          variant={'chips'}
+          showCount
+        />
+      </div>
+      <Button
+        type="submit"
+        variant={'outlined'}
+        color={'primary'}
+        disabled={formState.isSubmitting}
+      >
+        Submit
+      </Button>
+    </form>
+  );
+}
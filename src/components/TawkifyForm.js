@@ -0,0 +1,65 @@
+// deps
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * List inputs rendered inside a TawkifyForm register a validate function here,
+ * and show their errors once the form was submitted
+ * @type {React.Context<{register: function(string, Object): function(): void, submitted: boolean}>}
+ */
+export const TawkifyFormContext = React.createContext(null);
+
+TawkifyForm.propTypes = {
+  children: PropTypes.node.isRequired,
+  onSubmit: PropTypes.func,
+};
+
+/**
+ * A <form> that only calls onSubmit once every registered list input is valid. onSubmit may
+ * return a promise, the fields are told the submit succeeded once it resolves
+ */
+export default function TawkifyForm(props) {
+  const { children, onSubmit, ...formProps } = props;
+  // field id -> ref to the field's { validate, onSubmitSuccess } handlers
+  const fields = React.useRef(new Map());
+  const [submitted, setSubmitted] = React.useState(false);
+
+  const register = React.useCallback((id, field) => {
+    fields.current.set(id, field);
+    return () => fields.current.delete(id);
+  }, []);
+
+  const context = React.useMemo(() => ({ register, submitted }), [
+    register,
+    submitted,
+  ]);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    setSubmitted(true);
+    const errors = Array.from(fields.current.values())
+      .map((field) => field.current.validate())
+      .filter((error) => error);
+    if (errors.length) return;
+    const result = onSubmit ? onSubmit(event) : undefined;
+    // once an async onSubmit resolves, e.g. lists remove their saved drafts. A rejected
+    // submit keeps them, so nothing typed is lost
+    Promise.resolve(result).then(
+      () =>
+        fields.current.forEach(
+          (field) =>
+            field.current.onSubmitSuccess && field.current.onSubmitSuccess(),
+        ),
+      () => {},
+    );
+    return result;
+  };
+
+  return (
+    <TawkifyFormContext.Provider value={context}>
+      <form noValidate {...formProps} onSubmit={handleSubmit}>
+        {children}
+      </form>
+    </TawkifyFormContext.Provider>
+  );
+}
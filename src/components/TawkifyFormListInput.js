@@ -1,174 +1,1938 @@
 // deps
 import React from 'react';
 import PropTypes from 'prop-types';
+import isEqual from 'lodash.isequal';
 import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
+import { FixedSizeList } from 'react-window';
 
 // components
 import List from '@material-ui/core/List';
-import ListItem from '@material-ui/core/ListItem';
-import ListItemIcon from '@material-ui/core/ListItemIcon';
-import ListItemText from '@material-ui/core/ListItemText';
-import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction';
-import IconButton from '@material-ui/core/IconButton';
-import ClearIcon from '@material-ui/icons/Clear';
+import Chip from '@material-ui/core/Chip';
+import Snackbar from '@material-ui/core/Snackbar';
+import Button from '@material-ui/core/Button';
+import FormLabel from '@material-ui/core/FormLabel';
 
 // local components
 import TawkifyListInput from './TawkifyListInput';
+import TawkifyListItem from './TawkifyListItem';
+import TawkifyListHiddenInputs from './TawkifyListHiddenInputs';
+import TawkifyListToolbar from './TawkifyListToolbar';
+import TawkifyListFilter from './TawkifyListFilter';
+import HighlightedText from './HighlightedText';
+import { TawkifyListGroupContext } from './TawkifyListGroup';
+import { TawkifyFormContext } from './TawkifyForm';
+import { useTawkifyI18n } from './TawkifyI18nProvider';
+
+// local deps
+import {
+  ITEM_TYPES,
+  getItemValidators,
+  validateItem,
+  oneOf,
+  validateListLength,
+} from '../util/validators.util';
+import {
+  indexOfItem,
+  moveItem,
+  moveItems,
+  hasDelimiter,
+  splitItems,
+  getViewIndexes,
+} from '../util/list.util';
+import {
+  flattenTree,
+  buildTree,
+  fixDepths,
+  getSubtreeEnd,
+  getSubtreeHeight,
+  getParentIndex,
+  getChildIndexes,
+  getDropLevel,
+  getTreePositions,
+} from '../util/tree.util';
+import { uniqueId } from '../util/id.util';
+import { NORMALIZERS, createNormalizer } from '../util/normalize.util';
+import useItemValidation from '../hooks/useItemValidation';
+import useItemIds, { createItemId } from '../hooks/useItemIds';
+import useSuggestions from '../hooks/useSuggestions';
+import useListHistory from '../hooks/useListHistory';
+import useControllableState from '../hooks/useControllableState';
+import useThemeProps from '../hooks/useThemeProps';
+import usePersistentList from '../hooks/usePersistentList';
+import { withStyleOverrides } from '../util/theme.util';
 
 // styles
 import { makeStyles } from '@material-ui/core/styles';
-const useStyles = makeStyles((theme) => ({
-  root: {
-    '& .MuiTextField-root': {
-      margin: '10px',
-      width: '100%',
-    },
-    '& .MuiFormLabel-root': {
-      color: '#7876A5',
-    },
-  },
-  list: {
-    '& .MuiListItemIcon-root': {
-      'min-width': '1ch',
-      'font-size': '2.5rem',
-    },
-    '.MuiIconButton-edgeEnd': {
-      'font-size': '0.5ch',
-    },
-    'width': '100%',
-    //maxWidth: 360,
-    'backgroundColor': theme.palette.background.paper,
-  },
-}));
+// named, so the rules can be overridden with the classes prop and the theme
+const useStyles = makeStyles(
+  withStyleOverrides('TawkifyFormListInput', (theme) => ({
+    root: {
+      '& .MuiTextField-root': {
+        margin: '10px',
+        width: '100%',
+      },
+      // mirror the MUI styles that are positioned left / right
+      '&[dir="rtl"]': {
+        '& .MuiInputLabel-formControl': {
+          left: 'auto',
+          right: 0,
+          transformOrigin: 'top right',
+        },
+        '& .MuiListItem-secondaryAction': {
+          paddingRight: 16,
+          paddingLeft: 48,
+        },
+        '& .MuiListItemSecondaryAction-root': {
+          right: 'auto',
+          left: 16,
+        },
+        '& .MuiIconButton-edgeEnd': {
+          marginRight: 0,
+          marginLeft: -12,
+        },
+      },
+    },
+    label: {
+      // MUI colours focused / invalid labels with a more specific selector
+      '&, &.Mui-focused, &.Mui-error': {
+        color: '#7876A5',
+      },
+    },
+    list: {
+      '.MuiIconButton-edgeEnd': {
+        'font-size': '0.5ch',
+      },
+      '& .MuiListItem-root .MuiTextField-root': {
+        margin: 0,
+      },
+      'width': '100%',
+      //maxWidth: 360,
+      'backgroundColor': theme.palette.background.paper,
+    },
+    item: {},
+    marker: {
+      minWidth: '1ch',
+      fontSize: '2.5rem',
+    },
+    // numbers don't need the bullet's large font
+    markerNumbered: {
+      minWidth: '3ch',
+      fontSize: 'inherit',
+    },
+    removeIcon: {
+      fontSize: '1ch',
+    },
+    // other selected items while they are dragged along with the dragged item
+    ghost: {
+      opacity: 0.4,
+    },
+    // number of items being dragged
+    dragCount: {
+      position: 'absolute',
+      top: 4,
+      right: 4,
+      minWidth: 20,
+      height: 20,
+      padding: '0 6px',
+      borderRadius: 10,
+      fontSize: '0.75rem',
+      lineHeight: '20px',
+      textAlign: 'center',
+      color: theme.palette.primary.contrastText,
+      backgroundColor: theme.palette.primary.main,
+    },
+    filter: {
+      'display': 'flex',
+      'padding': '0 10px',
+      '& .MuiTextField-root': {
+        width: 'auto',
+        margin: '0 10px 0 0',
+      },
+      '& .MuiTextField-root:first-child': {
+        flexGrow: 1,
+      },
+      '& .MuiTextField-root:last-child': {
+        minWidth: 140,
+        marginRight: 0,
+      },
+    },
+    // lists taller than the maxHeight prop
+    scroll: {
+      overflowY: 'auto',
+    },
+    // react-beautiful-dnd does not support wrapping lists, chips scroll horizontally instead
+    chips: {
+      display: 'flex',
+      overflowX: 'auto',
+      padding: '0 10px 10px',
+      backgroundColor: theme.palette.background.paper,
+    },
+    chip: {
+      flexShrink: 0,
+      marginRight: theme.spacing(0.5),
+    },
+    readOnlyLabel: {
+      display: 'block',
+      margin: '10px 10px 0',
+      fontSize: '0.75rem',
+    },
+    // live region, only read out by screen readers
+    visuallyHidden: {
+      position: 'absolute',
+      width: 1,
+      height: 1,
+      margin: -1,
+      padding: 0,
+      overflow: 'hidden',
+      clip: 'rect(0 0 0 0)',
+      whiteSpace: 'nowrap',
+      border: 0,
+    },
+  })),
+  { name: 'TawkifyFormListInput' },
+);
 
 TawkifyFormListInput.propTypes = {
   label: PropTypes.string,
   placeholder: PropTypes.string,
   required: PropTypes.bool,
   disabled: PropTypes.bool,
+  // render the items as static text, without the input and any controls
+  readOnly: PropTypes.bool,
   max: PropTypes.number, // if wanted, could do custom validation here. max should probably be positive or 0 integer
+  min: PropTypes.number, // checked when the list is validated as a whole (on blur / form submit)
+  // show a "2 / 3 items" counter under the input
+  showCount: PropTypes.bool,
   update: PropTypes.func,
-  list: PropTypes.array,
+  // error from a form library (Formik, React Hook Form), shown under the input
+  error: PropTypes.string,
+  // called once focus leaves the list
+  onBlur: PropTypes.func,
+  // controlled with setList. Without setList, the list is reset whenever this prop changes
+  list: PropTypes.arrayOf(
+    PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+  ),
   setList: PropTypes.func,
+  // initial list in uncontrolled mode
+  defaultList: PropTypes.arrayOf(
+    PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+  ),
+  // name of the hidden inputs submitted with a native <form>
   name: PropTypes.string,
+  // submit items as name[] fields (one per item), or as a single JSON encoded field
+  submitFormat: PropTypes.oneOf(['array', 'json']),
+  itemType: PropTypes.oneOf(Object.keys(ITEM_TYPES)),
+  validate: PropTypes.oneOfType([
+    PropTypes.func,
+    PropTypes.instanceOf(RegExp),
+    PropTypes.arrayOf(
+      PropTypes.oneOfType([PropTypes.func, PropTypes.instanceOf(RegExp)]),
+    ),
+  ]),
+  // transforms applied in order to typed, pasted, suggested and edited text before it is
+  // validated and added: keys of NORMALIZERS (see src/util/normalize.util.js) or functions
+  normalize: PropTypes.oneOfType([
+    PropTypes.oneOf(Object.keys(NORMALIZERS)),
+    PropTypes.func,
+    PropTypes.arrayOf(
+      PropTypes.oneOfType([
+        PropTypes.oneOf(Object.keys(NORMALIZERS)),
+        PropTypes.func,
+      ]),
+    ),
+  ]),
+  duplicates: PropTypes.oneOf(['allow', 'reject', 'merge']),
+  duplicatesIgnoreCase: PropTypes.bool,
+  // object items
+  getItemLabel: PropTypes.func,
+  getItemKey: PropTypes.func,
+  createItem: PropTypes.func,
+  renderItem: PropTypes.func,
+  // split typed / pasted text into multiple items, true to use DEFAULT_DELIMITERS
+  delimiters: PropTypes.oneOfType([
+    PropTypes.bool,
+    PropTypes.arrayOf(PropTypes.string),
+  ]),
+  // static suggestions, or an async function returning suggestions for the typed text
+  suggestions: PropTypes.oneOfType([
+    PropTypes.arrayOf(PropTypes.string),
+    PropTypes.func,
+  ]),
+  // if false, only suggested values can be added
+  freeSolo: PropTypes.bool,
+  // render items as a vertical list or as inline removable chips
+  variant: PropTypes.oneOf(['list', 'chips']),
+  // items can have sub-items, the list is an array of { item, children } nodes (see
+  // src/util/tree.util.js). max applies to each level, min and required to the top level
+  tree: PropTypes.bool,
+  // max number of levels of a tree list
+  maxDepth: PropTypes.number,
+  // checkboxes to select items, and a toolbar with bulk actions (list variant only)
+  selectable: PropTypes.bool,
+  // a filter box / sort order select, they only change how the items are displayed
+  filterable: PropTypes.bool,
+  sortable: PropTypes.bool,
+  // number of edits that can be undone, 0 disables undo / redo
+  historyDepth: PropTypes.number,
+  // overrides of the TawkifyI18nProvider's messages, by message key (see src/i18n/en.js)
+  messages: PropTypes.objectOf(PropTypes.string),
+  // class names merged into the style rules, e.g. { label, marker, removeIcon }
+  classes: PropTypes.object,
+  // extra props of the inner components
+  slotProps: PropTypes.shape({
+    input: PropTypes.object, // MUI TextField
+    list: PropTypes.object, // MUI List, or the chips container
+    item: PropTypes.object, // MUI ListItem
+    chip: PropTypes.object, // MUI Chip
+    removeButton: PropTypes.object, // MUI IconButton
+  }),
+  size: PropTypes.oneOf(['dense', 'comfortable']),
+  // marker shown before each list item, or a function (item, index) returning the marker node
+  marker: PropTypes.oneOfType([
+    PropTypes.oneOf(['bullet', 'numbered', 'none']),
+    PropTypes.func,
+  ]),
+  // only mount the rows scrolled into view, for lists with thousands of items (list variant only)
+  virtualized: PropTypes.bool,
+  // height in px above which the list scrolls, default=400 for virtualized lists
+  maxHeight: PropTypes.number,
+  // height in px of a virtualized row, rows don't grow to fit their content
+  itemSize: PropTypes.number,
+  // save the list and the typed text to web storage under this key, and restore them on mount.
+  // The saved draft is removed once an enclosing TawkifyForm was submitted successfully
+  persistKey: PropTypes.string,
+  persistOptions: PropTypes.shape({
+    storage: PropTypes.oneOf(['local', 'session']),
+    // drafts saved with another version are discarded
+    version: PropTypes.number,
+    // ms to wait after the last change before saving
+    delay: PropTypes.number,
+    // when both a saved draft and the list prop are set on mount, keep the draft (default) or
+    // the list, or a function (draft, list) returning the list to use
+    conflict: PropTypes.oneOfType([
+      PropTypes.oneOf(['draft', 'list']),
+      PropTypes.func,
+    ]),
+  }),
 };
 
-export default function TawkifyFormListInput(props) {
-  const classes = useStyles();
+const DEFAULT_DELIMITERS = [',', ';', '\n'];
+const DEFAULT_VIRTUAL_HEIGHT = 400;
+const DEFAULT_ITEM_SIZES = { dense: 48, comfortable: 56 };
+
+const defaultGetItemLabel = (item) => String(item);
+const defaultCreateItem = (text) => text;
+
+/**
+ * Alt + ArrowUp / ArrowDown moves the focused item, chips can also be moved with ArrowLeft / ArrowRight
+ * @param {KeyboardEvent} event
+ * @param {string} variant
+ * @return {number} -1 or 1, 0 if event is not a move shortcut
+ */
+function getMoveStep(event, variant) {
+  if (!event.altKey) return 0;
+  if (event.key === 'ArrowUp') return -1;
+  if (event.key === 'ArrowDown') return 1;
+  if (variant !== 'chips') return 0;
+  if (event.key === 'ArrowLeft') return -1;
+  if (event.key === 'ArrowRight') return 1;
+  return 0;
+}
+
+VirtualRow.propTypes = {
+  // renders the row at index, positioned with style
+  data: PropTypes.func.isRequired,
+  index: PropTypes.number.isRequired,
+  style: PropTypes.object.isRequired,
+};
+
+/**
+ * Row of a react-window list
+ */
+function VirtualRow(props) {
+  const { data, index, style } = props;
+  return data(index, style);
+}
+
+/**
+ * Default props and style overrides can be set for every list in the MUI theme, either as
+ * `props.TawkifyFormListInput` / `overrides.TawkifyFormListInput` or as
+ * `components.TawkifyFormListInput.defaultProps` / `.styleOverrides`
+ */
+export default function TawkifyFormListInput(inProps) {
+  const props = useThemeProps('TawkifyFormListInput', inProps);
+  const classes = useStyles(props);
   const {
     label,
     placeholder,
     update,
+    error,
+    onBlur,
     required,
     disabled,
+    readOnly,
     list: _list,
     setList: _setList,
+    defaultList = [],
     name,
+    submitFormat = 'array',
     max,
+    min,
+    showCount,
+    itemType,
+    validate,
+    normalize = 'trim',
+    duplicates = 'allow',
+    duplicatesIgnoreCase,
+    getItemLabel = defaultGetItemLabel,
+    getItemKey,
+    createItem = defaultCreateItem,
+    renderItem,
+    delimiters,
+    suggestions,
+    freeSolo = true,
+    variant: variantProp = 'list',
+    tree,
+    maxDepth,
+    selectable,
+    filterable,
+    sortable,
+    historyDepth = 50,
+    messages,
+    slotProps = {},
+    size = 'dense',
+    marker = 'bullet',
+    virtualized,
+    maxHeight,
+    itemSize,
+    persistKey,
+    persistOptions = {},
   } = props;
-  const [list, setList] = (() => {
-    if (_list && _setList) return [_list, _setList];
-    else if (_list) return React.useState(_list);
-    return React.useState([]);
-  })();
-  const [input, setInput] = React.useState('');
+  const { t, dir, locale } = useTawkifyI18n(messages);
+  // tree lists are always rendered as a list
+  const variant = tree ? 'list' : variantProp;
+  const { draft, save: saveDraft, clear: clearDraft } = usePersistentList(
+    persistKey,
+    persistOptions,
+  );
+  const [value, setValue] = useControllableState({
+    value: _list,
+    defaultValue: draft ? draft.list : defaultList,
+    onChange: _setList,
+    name: 'list',
+    componentName: 'TawkifyFormListInput',
+  });
+  // tree lists are edited as a flat list of items with their depths, reused until the value changes
+  const flatTree = React.useRef(null);
+  if (tree && (!flatTree.current || flatTree.current.value !== value)) {
+    flatTree.current = { value, ...flattenTree(value) };
+  }
+  const list = tree ? flatTree.current.items : value;
+  const depths = tree ? flatTree.current.depths : null;
+  const [listId] = React.useState(() => uniqueId('tawkify-list'));
+  const { ids, expectIds } = useItemIds(list, getItemKey, listId);
+  const [filter, setFilter] = React.useState('');
+  const [sort, setSort] = React.useState('none');
+  const query = filterable ? filter.trim().toLowerCase() : '';
+  // sorting would break up the levels of a tree list
+  const canSort = sortable && !tree;
+  const sortOrder = canSort ? sort : 'none';
+  // positions on screen don't match the list's indexes, the list can't be reordered
+  const viewActive = !!query || sortOrder !== 'none';
+  // indexes of the displayed items, in display order
+  const viewIndexes = React.useMemo(
+    () =>
+      getViewIndexes(list.map(getItemLabel), {
+        query,
+        sort: sortOrder,
+        locale,
+      }),
+    [list, getItemLabel, query, sortOrder, locale],
+  );
+  const visibleIds = viewIndexes.map((idx) => ids[idx]);
+  const [input, setInput] = React.useState(draft ? draft.input : '');
   const [err, setError] = React.useState(null);
+  const validators = React.useMemo(
+    () =>
+      getItemValidators(itemType, validate).concat(
+        suggestions && !freeSolo ? oneOf(suggestions) : [],
+      ),
+    [itemType, validate, suggestions, freeSolo],
+  );
+  const { checkAll, cancel, pending } = useItemValidation(validators, t);
+  const normalizeText = createNormalizer(normalize);
+  const delimiterList =
+    delimiters === true ? DEFAULT_DELIMITERS : delimiters || [];
+  // async validation resolves after the list may have changed, always append to the latest list
+  const listRef = React.useRef(list);
+  listRef.current = list;
+  const idsRef = React.useRef(ids);
+  idsRef.current = ids;
+  const depthsRef = React.useRef(depths);
+  depthsRef.current = depths;
+  // inline editing of an existing item, { id, value }
+  const [editing, setEditing] = React.useState(null);
+  const [editErr, setEditError] = React.useState(null);
+  const editValidation = useItemValidation(validators, t);
+  // screen reader announcements of list changes
+  const [announcement, setAnnouncement] = React.useState('');
+  // rendered item elements by id, to move keyboard focus after an item is removed / moved
+  const itemEls = React.useRef(new Map());
+  const inputEl = React.useRef(null);
+  // returns the element to focus once the list has re-rendered
+  const focusAfterRender = React.useRef(null);
+  const registerWithGroup = React.useContext(TawkifyListGroupContext);
+  const form = React.useContext(TawkifyFormContext);
+  const registerWithForm = form ? form.register : null;
+  // the list has been blurred, show list level errors (e.g. required)
+  const [touched, setTouched] = React.useState(false);
+  const [suggestionsId] = React.useState(() => uniqueId('tawkify-suggestions'));
+  const [suggestionsOpen, setSuggestionsOpen] = React.useState(false);
+  const [highlighted, setHighlighted] = React.useState(-1);
+  const { options, loading: suggestionsLoading } = useSuggestions(
+    suggestions,
+    input,
+    (option) =>
+      indexOfItem(list.map(getItemLabel), option, duplicatesIgnoreCase) >= 0,
+  );
+  const visibleOptions = suggestionsOpen ? options : [];
+  const history = useListHistory(historyDepth);
+  const [undoSnackbarOpen, setUndoSnackbarOpen] = React.useState(false);
+  // number of items removed by the last removal, for the undo snackbar
+  const [removedCount, setRemovedCount] = React.useState(1);
+  // ids of the selected items, in the order they were selected
+  const [selected, setSelected] = React.useState([]);
+  // id of the last item (de)selected without shift, the start of shift + click ranges
+  const selectionAnchor = React.useRef(null);
+  const canSelect = selectable && variant !== 'chips' && !tree;
+  const currentIds = canSelect ? new Set(ids) : null;
+  // removed items drop out of the selection
+  const selectedIds = canSelect
+    ? selected.filter((id) => currentIds.has(id))
+    : [];
+  const selectedSet = new Set(selectedIds);
+  /**
+   * @param {Array} items
+   * @param {Array<number>|null} itemDepths
+   * @return {Array} The top level items of a tree list, items otherwise
+   */
+  const getRootItems = (items, itemDepths) =>
+    tree ? items.filter((e, i) => !itemDepths[i]) : items;
+  // min, max and required apply to the top level of a tree list
+  const rootCount = getRootItems(list, depths).length;
+  // the toolbar acts on the displayed items, items hidden by the filter keep their selection
+  const visibleSelectedIds = visibleIds.filter((id) => selectedSet.has(id));
+  const allVisibleSelected =
+    !!visibleIds.length && visibleSelectedIds.length === visibleIds.length;
+
+  /**
+   * Set the list without recording it in the undo history
+   * @param {Array} newList
+   * @param {function(Array<string>): Array<string>} [getIds] Map the current item ids to the ids of newList
+   * @param {Array<number>} [newDepths] Depths of newList's items in a tree list, by default
+   * items keep their depth and new items are added at the top level
+   */
+  const applyList = (newList, getIds, newDepths) => {
+    if (getIds) expectIds(newList, getIds);
+    let newValue = newList;
+    if (tree) {
+      let itemDepths = newDepths;
+      if (!itemDepths) {
+        const depthById = new Map();
+        idsRef.current.forEach((id, i) =>
+          depthById.set(id, depthsRef.current[i]),
+        );
+        itemDepths = getIds(idsRef.current).map((id) => depthById.get(id) || 0);
+      }
+      // e.g. the sub-items of an edited item merged into its duplicate move up a level
+      itemDepths = fixDepths(itemDepths);
+      newValue = buildTree(newList, itemDepths);
+      flatTree.current = {
+        value: newValue,
+        items: newList,
+        depths: itemDepths,
+      };
+    }
+    setValue(newValue);
+    if (update) update(newValue);
+  };
+
+  /**
+   * @param {Array} newList
+   * @param {function(Array<string>): Array<string>} [getIds] Map the current item ids to the ids of newList
+   * @param {Array<number>} [newDepths] See applyList
+   */
+  const setAndUpdate = (newList, getIds, newDepths) => {
+    // the snackbar's Undo must undo the removal it announced, not a later edit
+    setUndoSnackbarOpen(false);
+    history.record({
+      list: listRef.current,
+      ids: idsRef.current,
+      depths: depthsRef.current,
+    });
+    applyList(newList, getIds, newDepths);
+  };
+
+  /**
+   * Read message out in the list's live region
+   * @param {string} message
+   */
+  const announce = (message) =>
+    // an unchanged message would not be read out again
+    setAnnouncement((prev) =>
+      prev === message ? `${message}\u00a0` : message,
+    );
+
+  const setItemEl = (id, el) => {
+    if (el) itemEls.current.set(id, el);
+    else itemEls.current.delete(id);
+  };
+
+  // tell the parent about a restored draft, resolving a conflict with the list it passed (e.g.
+  // loaded from the server). Only on mount, the draft is only read on mount
+  React.useEffect(() => {
+    if (!draft) return;
+    if (_list === undefined) {
+      // the draft was the initial state of an uncontrolled list
+      if (update) update(draft.list);
+      return;
+    }
+    if (isEqual(draft.list, _list)) return;
+    const { conflict = 'draft' } = persistOptions;
+    let resolved = _list;
+    if (typeof conflict === 'function') resolved = conflict(draft, _list);
+    else if (conflict === 'draft') resolved = draft.list;
+    if (resolved === _list) {
+      clearDraft();
+      return;
+    }
+    setValue(resolved);
+    if (update) update(resolved);
+  }, []);
+
+  // the restored (or initial) state doesn't need saving
+  const persisted = React.useRef(false);
+  React.useEffect(() => {
+    if (!persisted.current) {
+      persisted.current = true;
+      return;
+    }
+    saveDraft({ list: value, input });
+  }, [value, input, saveDraft]);
+
+  React.useEffect(() => {
+    if (!focusAfterRender.current) return;
+    const el = focusAfterRender.current();
+    focusAfterRender.current = null;
+    if (el) el.focus();
+  });
+
+  const handleUndo = () => {
+    if (disabled) return;
+    handleEditCancel();
+    setUndoSnackbarOpen(false);
+    const snapshot = history.undo({ list, ids, depths });
+    if (snapshot) {
+      applyList(snapshot.list, () => snapshot.ids, snapshot.depths);
+    }
+  };
+
+  const handleRedo = () => {
+    if (disabled) return;
+    handleEditCancel();
+    const snapshot = history.redo({ list, ids, depths });
+    if (snapshot) {
+      applyList(snapshot.list, () => snapshot.ids, snapshot.depths);
+    }
+  };
+
+  // ctrl+z / ctrl+shift+z (or ctrl+y) anywhere in the component
+  const handleHistoryKeyDown = (event) => {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    const key = event.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    // inputs with text undo their own typing
+    if (event.target.value) return;
+    event.preventDefault();
+    if (key === 'y' || event.shiftKey) handleRedo();
+    else handleUndo();
+  };
+
+  // items are compared by key if they have one, otherwise by label
+  const isDuplicate = (item, others) => {
+    if (duplicates === 'allow') return false;
+    const identify = getItemKey || getItemLabel;
+    return (
+      indexOfItem(others.map(identify), identify(item), duplicatesIgnoreCase) >=
+      0
+    );
+  };
+
+  /**
+   * max applies to each level of a tree list: the top level and the children of each item
+   * @param {number} size Number of items at the level an item would be added to
+   * @param {number} depth 0 for the top level
+   * @return {string|null} Error message if the level is full
+   */
+  const getLevelError = (size, depth) => {
+    if (!(size >= max)) return null;
+    return depth ? t('levelMax', { max }) : t('listMax', { max });
+  };
+
+  /**
+   * Rules shared by every way of adding an item (typing, dropping from another list)
+   * @param {*} item
+   * @param {Array} target List the item would be added to
+   * @param {number} [levelSize] default=target.length Number of items at the level item would
+   * be added to
+   * @param {number} [depth] default=0 Level item would be added to, in a tree list
+   * @return {{error: (string|undefined), merge: (boolean|undefined)}} merge is true if
+   * item is a duplicate that should be merged into the existing item
+   */
+  const checkNewItem = (item, target, levelSize = target.length, depth = 0) => {
+    if (!getItemLabel(item).trim() && required) {
+      return { error: t('inputEmpty') };
+    }
+    if (isDuplicate(item, target)) {
+      if (duplicates === 'reject') {
+        return { error: t('duplicateItem') };
+      }
+      return { merge: true };
+    }
+    const levelError = getLevelError(levelSize, depth);
+    if (levelError) return { error: levelError };
+    return {};
+  };
+
+  /**
+   * Add typed or pasted text to the list. If the delimiters prop is set, text is split into
+   * multiple items which are validated separately. Items are normalized before they are
+   * validated. Rejected items stay in the input.
+   * @param {string} text
+   * @param {boolean} [split] default=true If false, add text as a single item even if it contains delimiters
+   */
+  const addItems = (text, split = true) => {
+    // the text of each item as typed, rejected items are put back in the input as typed
+    let pieces = [text];
+    let values = [normalizeText(text)];
+    if (split && delimiterList.length) {
+      // splitItems drops blank items, also drop the items that are empty once normalized
+      pieces = splitItems(text, delimiterList).filter((piece) =>
+        normalizeText(piece),
+      );
+      values = pieces.map(normalizeText);
+    }
+    if (!values.length) {
+      if (required) setError(t('inputEmpty'));
+      else setInput('');
+      return;
+    }
+    // no need to run (possibly async) validators for items that will be rejected anyway
+    const preErrors = values.map(
+      (value) => checkNewItem(createItem(value), list, rootCount).error,
+    );
+    if (values.length === 1 && preErrors[0]) {
+      setError(preErrors[0]);
+      return;
+    }
+    const toValidate = values.filter((value, i) => !preErrors[i]);
+    return checkAll(toValidate, list).then(({ errors, stale }) => {
+      if (stale) return;
+      // max and duplicates are checked against the items added so far in this batch
+      let next = listRef.current;
+      // new items are added at the top level of a tree list
+      let levelSize = getRootItems(next, depthsRef.current).length;
+      const rejected = [];
+      values.forEach((value, i) => {
+        const error = preErrors[i] || errors[toValidate.indexOf(value)];
+        const item = createItem(value);
+        const result = error ? { error } : checkNewItem(item, next, levelSize);
+        if (result.error) {
+          rejected.push({ value, piece: pieces[i], error: result.error });
+        } else if (!result.merge) {
+          next = next.concat([item]);
+          levelSize++;
+        }
+      });
+      const added = next.length - listRef.current.length;
+      if (added) {
+        setAndUpdate(next, (ids) =>
+          ids.concat(Array.from({ length: added }, () => createItemId())),
+        );
+        announce(
+          added === 1
+            ? t('itemAdded', { item: getItemLabel(next[next.length - 1]) })
+            : t('itemsAdded', { count: added }),
+        );
+      }
+      if (!rejected.length) {
+        setError(null);
+        setInput('');
+      } else if (values.length === 1) {
+        setError(rejected[0].error);
+      } else {
+        const details = rejected
+          .map(({ value, error }) => `"${value}" (${error})`)
+          .join(', ');
+        setError(
+          t('itemsNotAdded', {
+            rejected: rejected.length,
+            total: values.length,
+            details,
+          }),
+        );
+        setInput(rejected.map(({ piece }) => piece).join(delimiterList[0]));
+      }
+    });
+  };
 
-  const setAndUpdate = (newList) => {
-    setList(newList);
-    if (update) update(newList);
+  const handleSuggestionSelect = (option) => {
+    setSuggestionsOpen(false);
+    setHighlighted(-1);
+    cancel();
+    return addItems(option, false);
+  };
+
+  /**
+   * Keyboard navigation of the suggestions dropdown
+   * @return {boolean} true if the event was handled
+   */
+  const handleSuggestionKeyDown = (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      setSuggestionsOpen(true);
+      if (!options.length) return true;
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      // wrap around, starting from the top / bottom if nothing is highlighted
+      const from = visibleOptions.length ? highlighted : step > 0 ? -1 : 0;
+      setHighlighted((from + step + options.length) % options.length);
+      return true;
+    }
+    if (event.key === 'Enter' && visibleOptions[highlighted]) {
+      event.preventDefault();
+      handleSuggestionSelect(visibleOptions[highlighted]);
+      return true;
+    }
+    if (event.key === 'Escape' && visibleOptions.length) {
+      setSuggestionsOpen(false);
+      setHighlighted(-1);
+      return true;
+    }
+    return false;
   };
 
   const handleKeyDown = (event) => {
+    if (suggestions && handleSuggestionKeyDown(event)) return;
     if (event.key === 'Enter') {
-      if (!input.trim() && required) {
-        setError('Input cannot be empty');
-        return;
-      }
-      if (list.length >= max) {
-        setError(`List has a max length of ${max}`);
+      // don't submit the enclosing form
+      event.preventDefault();
+      // nothing can be typed in a full list's input, but it may still hold text, e.g. from a
+      // restored draft. The placeholder explaining why is hidden then
+      if (full) {
+        if (input) setError(t('listMax', { max }));
         return;
       }
-      setError(null);
-      setInput('');
-      setAndUpdate(list.concat(input));
+      return addItems(input);
+    }
+    // like most tag inputs, backspace in an empty input removes the last chip
+    if (
+      event.key === 'Backspace' &&
+      variant === 'chips' &&
+      !input &&
+      list.length
+    ) {
+      handleListRemove(list.length - 1);
     }
   };
 
+  const handlePaste = (event) => {
+    if (!delimiterList.length) return;
+    const pasted = event.clipboardData.getData('text');
+    // a single item is pasted into the input as usual
+    if (!hasDelimiter(pasted, delimiterList)) return;
+    event.preventDefault();
+    const { selectionStart, selectionEnd } = event.target;
+    cancel();
+    return addItems(
+      input.slice(0, selectionStart) + pasted + input.slice(selectionEnd),
+    );
+  };
+
+  /**
+   * @param {number} idx
+   * @return {number} Index after the item at idx and, in a tree list, its sub-items
+   */
+  const getItemEnd = (idx) => (tree ? getSubtreeEnd(depths, idx) : idx + 1);
+
+  /**
+   * Remove an item, with its sub-items in a tree list
+   * @param {number} idx
+   */
   const handleListRemove = (idx) => {
     if (disabled) {
-      setError('Editing this list is disabled');
+      setError(t('editDisabled'));
+      return;
+    }
+    const end = getItemEnd(idx);
+    const editingIdx = editing ? ids.indexOf(editing.id) : -1;
+    if (editingIdx >= idx && editingIdx < end) handleEditCancel();
+    setAndUpdate(
+      list.filter((e, i) => i < idx || i >= end),
+      (ids) => ids.filter((e, i) => i < idx || i >= end),
+    );
+    notifyRemoved(list.slice(idx, end));
+  };
+
+  /**
+   * Offer to undo a removal, or announce it if undo is disabled
+   * @param {Array} removed The removed items
+   */
+  const notifyRemoved = (removed) => {
+    if (historyDepth > 0) {
+      // the undo snackbar is read out instead
+      setRemovedCount(removed.length);
+      setUndoSnackbarOpen(true);
+    } else if (removed.length === 1) {
+      announce(t('itemRemoved', { item: getItemLabel(removed[0]) }));
+    } else {
+      announce(t('itemsRemoved', { count: removed.length }));
+    }
+  };
+
+  /**
+   * @return {Array<number>} Indexes of the selected items, ascending
+   */
+  const getSelectedIndexes = () => {
+    const indexes = [];
+    ids.forEach((id, i) => {
+      if (selectedSet.has(id)) indexes.push(i);
+    });
+    return indexes;
+  };
+
+  /**
+   * Toggle the item's selection. With shift, select every item between the last (de)selected
+   * item and this one instead.
+   * @param {number} idx
+   * @param {React.ChangeEvent} event Change event of the item's checkbox
+   */
+  const handleItemSelect = (idx, event) => {
+    const id = ids[idx];
+    // ranges follow the displayed order
+    const anchor = visibleIds.indexOf(selectionAnchor.current);
+    if (event.nativeEvent.shiftKey && anchor >= 0) {
+      const pos = visibleIds.indexOf(id);
+      const range = visibleIds.slice(
+        Math.min(anchor, pos),
+        Math.max(anchor, pos) + 1,
+      );
+      setSelected(selectedIds.concat(range.filter((e) => !selectedSet.has(e))));
+      return;
+    }
+    selectionAnchor.current = id;
+    setSelected(
+      selectedSet.has(id)
+        ? selectedIds.filter((e) => e !== id)
+        : selectedIds.concat(id),
+    );
+  };
+
+  /**
+   * Select / unselect the displayed items, items hidden by the filter keep their selection
+   * @param {boolean} checked
+   */
+  const handleSelectAll = (checked) => {
+    const visibleSet = new Set(visibleIds);
+    const rest = selectedIds.filter((id) => !visibleSet.has(id));
+    setSelected(checked ? rest.concat(visibleIds) : rest);
+  };
+
+  const handleRemoveSelected = () => {
+    if (disabled) {
+      setError(t('editDisabled'));
+      return;
+    }
+    if (!visibleSelectedIds.length) return;
+    const removedSet = new Set(visibleSelectedIds);
+    if (editing && removedSet.has(editing.id)) handleEditCancel();
+    setAndUpdate(
+      list.filter((e, i) => !removedSet.has(ids[i])),
+      (ids) => ids.filter((id) => !removedSet.has(id)),
+    );
+    notifyRemoved(list.filter((e, i) => removedSet.has(ids[i])));
+    setSelected(selectedIds.filter((id) => !removedSet.has(id)));
+    // the focused toolbar button is disabled without a selection
+    focusAfterRender.current = () => inputEl.current;
+  };
+
+  /**
+   * Move the selected items to the top / bottom of the list, keeping their order
+   * @param {boolean} toTop
+   */
+  const handleMoveSelected = (toTop) => {
+    if (!canReorder()) return;
+    const indexes = getSelectedIndexes();
+    if (!indexes.length) return;
+    const to = toTop ? 0 : list.length - indexes.length;
+    setAndUpdate(moveItems(list, indexes, to), (ids) =>
+      moveItems(ids, indexes, to),
+    );
+    announce(
+      t(toTop ? 'itemsMovedToTop' : 'itemsMovedToBottom', {
+        count: indexes.length,
+      }),
+    );
+  };
+
+  const handleClear = () => {
+    if (disabled) {
+      setError(t('editDisabled'));
       return;
     }
-    setAndUpdate(list.filter((e, i) => i !== idx));
+    if (!list.length) return;
+    handleEditCancel();
+    setAndUpdate([], () => []);
+    notifyRemoved(list);
+    setSelected([]);
+    focusAfterRender.current = () => inputEl.current;
+  };
+
+  /**
+   * Remove an item from its remove button / keyboard shortcut, then focus the next item
+   * (or the input if the list is now empty) so keyboard focus is not lost
+   * @param {number} idx
+   */
+  const handleItemRemove = (idx) => {
+    const end = getItemEnd(idx);
+    const pos = viewIndexes.indexOf(idx);
+    // skip the sub-items removed along with the item
+    const next = viewIndexes.slice(pos + 1).find((i) => i < idx || i >= end);
+    const nextId = ids[next] || ids[viewIndexes[pos - 1]];
+    handleListRemove(idx);
+    if (disabled) return;
+    focusAfterRender.current = nextId
+      ? () => itemEls.current.get(nextId)
+      : () => inputEl.current;
+  };
+
+  /**
+   * @return {boolean} false, after showing why, if the list can't be reordered
+   */
+  const canReorder = () => {
+    if (disabled) {
+      setError(t('reorderDisabled'));
+      return false;
+    }
+    if (viewActive) {
+      setError(t('reorderFiltered'));
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Move an item of a tree list along with its sub-items, keeping focus on it
+   * @param {number} idx
+   * @param {number} to Index of the item once moved
+   * @param {number} depth New depth of the item, its sub-items keep their depth relative to it
+   */
+  const moveSubtree = (idx, to, depth) => {
+    const end = getSubtreeEnd(depths, idx);
+    const indexes = Array.from({ length: end - idx }, (e, i) => idx + i);
+    const shift = depth - depths[idx];
+    const newDepths = depths.map((d, i) =>
+      i >= idx && i < end ? d + shift : d,
+    );
+    const id = ids[idx];
+    setAndUpdate(
+      moveItems(list, indexes, to),
+      (ids) => moveItems(ids, indexes, to),
+      moveItems(newDepths, indexes, to),
+    );
+    focusAfterRender.current = () => itemEls.current.get(id);
+  };
+
+  /**
+   * Move an item of a tree list before its previous sibling / after its next sibling
+   * @param {number} idx
+   * @param {number} step -1 or 1
+   */
+  const handleTreeItemMove = (idx, step) => {
+    const siblings = getChildIndexes(depths, getParentIndex(depths, idx));
+    const position = siblings.indexOf(idx) + step;
+    if (position < 0 || position >= siblings.length) return;
+    if (!canReorder()) return;
+    const sibling = siblings[position];
+    // after the next sibling's sub-items, in the list without the moved items
+    const to =
+      step < 0
+        ? sibling
+        : getSubtreeEnd(depths, sibling) - (getSubtreeEnd(depths, idx) - idx);
+    moveSubtree(idx, to, depths[idx]);
+    announce(
+      t('itemMoved', {
+        item: getItemLabel(list[idx]),
+        position: position + 1,
+        total: siblings.length,
+      }),
+    );
+  };
+
+  /**
+   * Tab makes an item of a tree list the last child of its previous sibling, shift + Tab the
+   * next sibling of its parent
+   * @param {number} idx
+   * @param {boolean} outdent
+   * @return {boolean} false if the item can't be moved that way, Tab then moves focus as usual
+   */
+  const handleItemIndent = (idx, outdent) => {
+    // the previous item on screen may not be the previous sibling
+    if (viewActive) return false;
+    const parent = getParentIndex(depths, idx);
+    const siblings = getChildIndexes(depths, parent);
+    const prev = siblings[siblings.indexOf(idx) - 1];
+    if (outdent ? parent < 0 : prev === undefined) return false;
+    if (!canReorder()) return true;
+    const depth = depths[idx] + (outdent ? -1 : 1);
+    if (depth + getSubtreeHeight(depths, idx) >= maxDepth) {
+      setError(t('treeMaxDepth', { max: maxDepth }));
+      return true;
+    }
+    const newParent = outdent ? getParentIndex(depths, parent) : prev;
+    const levelError = getLevelError(
+      getChildIndexes(depths, newParent).length,
+      depth,
+    );
+    if (levelError) {
+      setError(levelError);
+      return true;
+    }
+    // an outdented item goes after its former parent's other sub-items
+    const to = outdent
+      ? getSubtreeEnd(depths, parent) - (getSubtreeEnd(depths, idx) - idx)
+      : idx;
+    moveSubtree(idx, to, depth);
+    announce(
+      t('itemLevel', { item: getItemLabel(list[idx]), level: depth + 1 }),
+    );
+    return true;
+  };
+
+  /**
+   * Move an item one position up / down, keeping focus on it
+   * @param {number} idx
+   * @param {number} step -1 or 1
+   */
+  const handleItemMove = (idx, step) => {
+    if (tree) {
+      handleTreeItemMove(idx, step);
+      return;
+    }
+    const to = idx + step;
+    if (to < 0 || to >= list.length) return;
+    if (!canReorder()) return;
+    const id = ids[idx];
+    setAndUpdate(moveItem(list, idx, to), (ids) => moveItem(ids, idx, to));
+    focusAfterRender.current = () => itemEls.current.get(id);
+    announce(
+      t('itemMoved', {
+        item: getItemLabel(list[idx]),
+        position: to + 1,
+        total: list.length,
+      }),
+    );
+  };
+
+  const handleEditStart = (idx) => {
+    if (disabled) {
+      setError(t('editDisabled'));
+      return;
+    }
+    editValidation.cancel();
+    setEditError(null);
+    setEditing({ id: ids[idx], value: getItemLabel(list[idx]) });
+  };
+
+  const handleEditCancel = () => {
+    editValidation.cancel();
+    setEditError(null);
+    setEditing(null);
+  };
+
+  // edits go through the same validation as new items
+  const handleEditKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      handleEditCancel();
+      return;
+    }
+    if (event.key !== 'Enter') return;
+    event.preventDefault();
+    const { id } = editing;
+    const value = normalizeText(editing.value);
+    if (!value.trim() && required) {
+      setEditError(t('inputEmpty'));
+      return;
+    }
+    const others = list.filter((e, i) => ids[i] !== id);
+    return editValidation.check(value, others).then(({ error, stale }) => {
+      if (stale) return;
+      if (error) {
+        setEditError(error);
+        return;
+      }
+      // the item may have moved (or been removed) while validating
+      const idx = idsRef.current.indexOf(id);
+      if (idx < 0) {
+        handleEditCancel();
+        return;
+      }
+      const latest = listRef.current;
+      const item = createItem(value, latest[idx]);
+      if (
+        isDuplicate(
+          item,
+          latest.filter((e, i) => i !== idx),
+        )
+      ) {
+        if (duplicates === 'reject') {
+          setEditError(t('duplicateItem'));
+          return;
+        }
+        // merge the edited item into the existing one
+        handleEditCancel();
+        setAndUpdate(
+          latest.filter((e, i) => i !== idx),
+          (ids) => ids.filter((e, i) => i !== idx),
+        );
+        return;
+      }
+      handleEditCancel();
+      setAndUpdate(
+        latest.map((e, i) => (i === idx ? item : e)),
+        (ids) => ids,
+      );
+    });
+  };
+
+  const handleItemKeyDown = (event, idx) => {
+    // ignore keys typed into the inline edit field
+    if (event.target !== event.currentTarget) return;
+    if (tree && event.key === 'Tab' && !event.altKey && !event.ctrlKey) {
+      if (handleItemIndent(idx, event.shiftKey)) event.preventDefault();
+      return;
+    }
+    const step = getMoveStep(event, variant);
+    if (step) {
+      event.preventDefault();
+      handleItemMove(idx, step);
+      return;
+    }
+    // chips handle Delete / Backspace themselves
+    if (event.key === 'Delete' && variant !== 'chips') {
+      event.preventDefault();
+      handleItemRemove(idx);
+      return;
+    }
+    if (variant === 'chips') return;
+    if (event.key === 'F2' || event.key === 'Enter') {
+      event.preventDefault();
+      handleEditStart(idx);
+    }
+  };
+
+  /**
+   * Drop an item of a tree list along with its sub-items, at the level of the item it is dropped
+   * in front of
+   * @param {number} from
+   * @param {number} to Index of the dragged item in the list without it
+   */
+  const handleTreeDrop = (from, to) => {
+    const end = getSubtreeEnd(depths, from);
+    // the sub-items stay in place while dragging, dropping the item among them is a no-op
+    if (to >= from && to < end) return;
+    const idx = to < from ? to : to - (end - from - 1);
+    const level = getDropLevel(
+      depths.filter((e, i) => i < from || i >= end),
+      idx,
+    );
+    if (level.depth + getSubtreeHeight(depths, from) >= maxDepth) {
+      setError(t('treeMaxDepth', { max: maxDepth }));
+      return;
+    }
+    const levelError = getLevelError(level.siblings, level.depth);
+    if (levelError) {
+      setError(levelError);
+      return;
+    }
+    moveSubtree(from, idx, level.depth);
   };
 
   const handleListReorder = (result) => {
     if (!result.destination) return;
     if (disabled) {
-      setError('Reordering this list is disabled');
+      setError(t('reorderDisabled'));
+      return;
+    }
+    const { index: from } = result.source;
+    const { index: to } = result.destination;
+    if (tree) {
+      handleTreeDrop(from, to);
       return;
     }
-    const items = Array.from(list);
-    const [reorderedItem] = items.splice(result.source.index, 1);
-    items.splice(result.destination.index, 0, reorderedItem);
-    setAndUpdate(items);
+    if (selectedSet.has(ids[from]) && selectedIds.length > 1) {
+      // the other selected items move along with the dragged item. to is the dragged item's
+      // index in the list without it, count the other selected items in front of it
+      const indexes = getSelectedIndexes();
+      const before = indexes.filter(
+        (i) => i !== from && (i > from ? i - 1 : i) < to,
+      ).length;
+      setAndUpdate(moveItems(list, indexes, to - before), (ids) =>
+        moveItems(ids, indexes, to - before),
+      );
+      return;
+    }
+    setAndUpdate(moveItem(list, from, to), (ids) => moveItem(ids, from, to));
   };
 
-  const droppableList = (provided) => (
+  // called by TawkifyListGroup when items are dragged between lists
+  const groupHandlers = React.useRef(null);
+  groupHandlers.current = {
+    reorder: handleListReorder,
+    canRemove: (idx) => {
+      if (disabled) {
+        setError(t('editDisabled'));
+        return false;
+      }
+      if (tree && getSubtreeEnd(depths, idx) > idx + 1) {
+        setError(t('moveWithChildren'));
+        return false;
+      }
+      return true;
+    },
+    getItem: (idx) => ({ id: ids[idx], item: list[idx] }),
+    accept: (item, idx) => {
+      if (disabled) {
+        setError(t('editDisabled'));
+        return Promise.resolve(null);
+      }
+      const level = tree ? getDropLevel(depths, idx) : {};
+      const { error: preError } = checkNewItem(
+        item,
+        list,
+        level.siblings,
+        level.depth,
+      );
+      if (preError) {
+        setError(preError);
+        return Promise.resolve(null);
+      }
+      const value = getItemLabel(item);
+      return validateItem(value, validators, list, { t }).then((error) => {
+        const result = error
+          ? { error }
+          : checkNewItem(item, listRef.current, level.siblings, level.depth);
+        if (result.error) {
+          setError(result.error);
+          return null;
+        }
+        setError(null);
+        return result;
+      });
+    },
+    removeItem: (id) => {
+      const idx = idsRef.current.indexOf(id);
+      if (idx < 0) return;
+      if (editing && editing.id === id) handleEditCancel();
+      setAndUpdate(
+        listRef.current.filter((e, i) => i !== idx),
+        (ids) => ids.filter((e, i) => i !== idx),
+      );
+    },
+    insertItem: (item, idx, focus) => {
+      // a new id: the source list's undo history still holds the old one. Keyed items get an
+      // id scoped to this list instead (see useItemIds)
+      const id = createItemId();
+      const items = Array.from(listRef.current);
+      items.splice(idx, 0, item);
+      let newDepths;
+      if (tree) {
+        newDepths = Array.from(depthsRef.current);
+        newDepths.splice(idx, 0, getDropLevel(depthsRef.current, idx).depth);
+      }
+      setAndUpdate(
+        items,
+        (ids) => {
+          const newIds = Array.from(ids);
+          newIds.splice(idx, 0, id);
+          return newIds;
+        },
+        newDepths,
+      );
+      // the dragged item had another id, so the drag and drop library can't restore its focus
+      if (focus) {
+        focusAfterRender.current = () =>
+          itemEls.current.get(idsRef.current[idx]);
+      }
+    },
+  };
+
+  React.useEffect(() => {
+    if (!registerWithGroup) return;
+    return registerWithGroup(listId, groupHandlers);
+  }, [registerWithGroup, listId]);
+
+  /**
+   * Validity of the list as a whole, checked on blur and when an enclosing TawkifyForm is submitted
+   * @param {Array} target
+   * @return {string|null} Error message, or null if the list is valid
+   */
+  const getListError = (target) =>
+    // like native form controls, disabled / read only lists are not validated
+    disabled || readOnly
+      ? null
+      : validateListLength(target, { required, min, max }, t);
+  const listError =
+    touched || (form && form.submitted)
+      ? getListError(getRootItems(list, depths))
+      : null;
+
+  // called by TawkifyForm on submit
+  const formField = React.useRef(null);
+  formField.current = {
+    validate: () => {
+      setTouched(true);
+      return getListError(getRootItems(listRef.current, depthsRef.current));
+    },
+    onSubmitSuccess: clearDraft,
+  };
+
+  React.useEffect(() => {
+    if (!registerWithForm) return;
+    return registerWithForm(listId, formField);
+  }, [registerWithForm, listId]);
+
+  // no more items can be added, make the input read only instead of erroring on Enter
+  const full = rootCount >= max;
+  let count;
+  if (showCount) {
+    count =
+      max === undefined
+        ? t('itemCount', { count: rootCount })
+        : t('itemCountOfMax', { count: rootCount, max });
+  }
+
+  const treePositions = React.useMemo(
+    () => (tree ? getTreePositions(depths) : null),
+    [tree, depths],
+  );
+  // the rows of a tree list are a flat tree, their levels are given by aria-level
+  const listRole = tree ? 'tree' : 'list';
+
+  /**
+   * @param {number} idx
+   * @return {Object} Role of the item's row and, in a tree list, its level and position
+   */
+  const getRowProps = (idx) => {
+    if (!tree) return { role: 'listitem' };
+    const { level, position, siblings } = treePositions[idx];
+    return {
+      'role': 'treeitem',
+      'aria-level': level,
+      'aria-posinset': position,
+      'aria-setsize': siblings,
+    };
+  };
+
+  /**
+   * @param {*} item
+   * @param {number} idx
+   * @return {React.ReactNode} Marker shown before the item, null for none
+   */
+  const getMarker = (item, idx) => {
+    if (typeof marker === 'function') return marker(item, idx);
+    if (marker === 'none') return null;
+    if (marker === 'numbered') {
+      // tree list items are numbered among their siblings
+      return `${tree ? treePositions[idx].position : idx + 1}.`;
+    }
+    return '·';
+  };
+  const itemClasses = {
+    item: classes.item,
+    marker:
+      marker === 'numbered'
+        ? `${classes.marker} ${classes.markerNumbered}`
+        : classes.marker,
+    removeIcon: classes.removeIcon,
+  };
+  const chipSize = size === 'comfortable' ? 'medium' : 'small';
+  const rowHeight = itemSize || DEFAULT_ITEM_SIZES[size];
+  // an empty list keeps one row's height, so items can be dropped into it
+  const virtualHeight = Math.min(
+    maxHeight || DEFAULT_VIRTUAL_HEIGHT,
+    Math.max(list.length, 1) * rowHeight,
+  );
+  const listClassName = maxHeight
+    ? `${classes.list} ${classes.scroll}`
+    : classes.list;
+  const isEditingId = (id) => !!editing && editing.id === id;
+
+  const handleBlur = (event) => {
+    // focus moved outside of the component
+    if (event.currentTarget.contains(event.relatedTarget)) return;
+    setTouched(true);
+    if (onBlur) onBlur(event);
+  };
+
+  /**
+   * @param {number} idx
+   * @param {Object} provided react-beautiful-dnd's DraggableProvided
+   * @param {{style: (Object|undefined), clone: (boolean|undefined), draggingWith: (string|undefined)}} [options]
+   * style positions a virtualized row, clone is true for the copy of a virtualized row that is
+   * being dragged, draggingWith is the id of the item being dragged within the list
+   * @return {React.ReactNode}
+   */
+  const renderDraggableItem = (idx, provided, options = {}) => {
+    const item = list[idx];
+    const id = ids[idx];
+    const value = getItemLabel(item);
+    const isEditing = isEditingId(id);
+    const multiDrag =
+      selectedSet.has(options.draggingWith) && selectedIds.length > 1;
+    // the sub-items of a dragged tree list item are dropped along with it
+    const dragFrom =
+      tree && options.draggingWith ? ids.indexOf(options.draggingWith) : -1;
+    const draggedAlong =
+      (multiDrag && id !== options.draggingWith && selectedSet.has(id)) ||
+      (dragFrom >= 0 &&
+        idx > dragFrom &&
+        idx < getSubtreeEnd(depths, dragFrom));
+    return (
+      <div
+        className={draggedAlong ? classes.ghost : undefined}
+        ref={(el) => {
+          provided.innerRef(el);
+          if (!options.clone) setItemEl(id, el);
+        }}
+        {...provided.draggableProps}
+        // dragging is disabled while the list is filtered / sorted, the item stays focusable
+        tabIndex={0}
+        {...provided.dragHandleProps}
+        style={Object.assign({}, options.style, provided.draggableProps.style)}
+        // the drag handle is a list / tree item, not a button with interactive content
+        {...getRowProps(idx)}
+        onKeyDown={(e) => handleItemKeyDown(e, idx)}
+      >
+        <TawkifyListItem
+          value={value}
+          removeLabel={t('removeItem', { item: value })}
+          editLabel={t('editItem', { item: value })}
+          renderedItem={
+            renderItem ? renderItem(item, { index: idx, query }) : undefined
+          }
+          highlight={query}
+          onRemove={() => handleItemRemove(idx)}
+          onEditStart={() => handleEditStart(idx)}
+          editing={isEditing}
+          editValue={isEditing ? editing.value : undefined}
+          editErr={isEditing ? editErr : undefined}
+          editPending={isEditing && editValidation.pending}
+          onEditChange={(e) => {
+            editValidation.cancel();
+            setEditing({ id, value: e.target.value });
+          }}
+          onEditKeyDown={handleEditKeyDown}
+          marker={getMarker(item, idx)}
+          dense={size === 'dense'}
+          depth={tree ? depths[idx] : 0}
+          classes={itemClasses}
+          ListItemProps={slotProps.item}
+          removeButtonProps={slotProps.removeButton}
+          selected={canSelect ? selectedSet.has(id) : undefined}
+          onSelect={canSelect ? (e) => handleItemSelect(idx, e) : undefined}
+          selectLabel={t('selectItem', { item: value })}
+        />
+        {multiDrag && id === options.draggingWith && (
+          <span className={classes.dragCount} aria-hidden>
+            {selectedIds.length}
+          </span>
+        )}
+      </div>
+    );
+  };
+
+  /**
+   * The selected items / sub-items of a tree list item only move along with the dragged item
+   * within its own list, don't show them as dragged while it is over another list of the group
+   * @param {Object} snapshot react-beautiful-dnd's DroppableStateSnapshot
+   * @return {string|undefined} Id of the item being dragged within the list
+   */
+  const getDraggingWith = (snapshot) =>
+    snapshot.isDraggingOver ? snapshot.draggingFromThisWith : undefined;
+
+  const droppableList = (provided, snapshot) => (
     <List
-      className={classes.list}
+      className={listClassName}
+      style={{ maxHeight }}
+      role={listRole}
+      aria-label={label}
+      {...slotProps.list}
       {...provided.droppableProps}
       ref={provided.innerRef}
     >
-      {list.map((value, idx) => {
-        return (
-          <Draggable key={value} draggableId={value} index={idx}>
-            {(provided) => (
-              <div
-                ref={provided.innerRef}
-                {...provided.draggableProps}
-                {...provided.dragHandleProps}
-              >
-                <ListItem role={undefined} dense>
-                  <ListItemIcon>·</ListItemIcon>
-                  <ListItemText primary={value} />
-                  <ListItemSecondaryAction>
-                    <IconButton
-                      edge="end"
-                      aria-label="remove"
-                      onClick={() => handleListRemove(idx)}
-                    >
-                      <ClearIcon style={{ fontSize: '1ch' }} />
-                    </IconButton>
-                  </ListItemSecondaryAction>
-                </ListItem>
-              </div>
-            )}
-          </Draggable>
-        );
-      })}
+      {viewIndexes.map((idx, pos) => (
+        <Draggable
+          key={ids[idx]}
+          draggableId={ids[idx]}
+          index={pos}
+          isDragDisabled={viewActive || isEditingId(ids[idx])}
+        >
+          {(provided) =>
+            renderDraggableItem(idx, provided, {
+              draggingWith: getDraggingWith(snapshot),
+            })
+          }
+        </Draggable>
+      ))}
       {provided.placeholder}
     </List>
   );
 
+  /**
+   * @param {number} pos Position of the row in the displayed items
+   * @param {Object} style
+   * @param {string} [draggingWith] Id of the item being dragged within the list
+   * @return {React.ReactNode}
+   */
+  const renderVirtualDraggable = (pos, style, draggingWith) =>
+    // the row after the last item is the placeholder of an item dragged in from another list
+    pos < viewIndexes.length ? (
+      <Draggable
+        draggableId={ids[viewIndexes[pos]]}
+        index={pos}
+        isDragDisabled={viewActive || isEditingId(ids[viewIndexes[pos]])}
+      >
+        {(provided) =>
+          renderDraggableItem(viewIndexes[pos], provided, {
+            style,
+            draggingWith,
+          })
+        }
+      </Draggable>
+    ) : null;
+
+  const droppableVirtualList = (provided, snapshot) => (
+    <div
+      role={listRole}
+      aria-label={label}
+      {...slotProps.list}
+      {...provided.droppableProps}
+    >
+      <FixedSizeList
+        // react-beautiful-dnd scrolls the react-window container while dragging
+        outerRef={provided.innerRef}
+        className={classes.list}
+        height={virtualHeight}
+        width="100%"
+        itemCount={viewIndexes.length + (snapshot.isUsingPlaceholder ? 1 : 0)}
+        itemSize={rowHeight}
+        itemKey={(pos) => ids[viewIndexes[pos]] || 'placeholder'}
+        itemData={(pos, style) =>
+          renderVirtualDraggable(pos, style, getDraggingWith(snapshot))
+        }
+      >
+        {VirtualRow}
+      </FixedSizeList>
+    </div>
+  );
+
+  const droppableChips = (provided) => (
+    <div
+      className={classes.chips}
+      // react-beautiful-dnd does not support right-to-left horizontal lists
+      dir="ltr"
+      role="list"
+      aria-label={label}
+      {...slotProps.list}
+      {...provided.droppableProps}
+      ref={provided.innerRef}
+    >
+      {viewIndexes.map((idx, pos) => (
+        <Draggable
+          key={ids[idx]}
+          draggableId={ids[idx]}
+          index={pos}
+          isDragDisabled={viewActive}
+        >
+          {(provided) => (
+            <div
+              className={classes.chip}
+              ref={provided.innerRef}
+              {...provided.draggableProps}
+              role="listitem"
+            >
+              <Chip
+                {...slotProps.chip}
+                ref={(el) => setItemEl(ids[idx], el)}
+                {...provided.dragHandleProps}
+                label={
+                  <HighlightedText
+                    text={getItemLabel(list[idx])}
+                    query={query}
+                  />
+                }
+                size={chipSize}
+                onDelete={() => handleItemRemove(idx)}
+                onKeyDown={(e) => handleItemKeyDown(e, idx)}
+              />
+            </div>
+          )}
+        </Draggable>
+      ))}
+      {provided.placeholder}
+    </div>
+  );
+
+  let droppable = (
+    <Droppable
+      droppableId={listId}
+      direction={variant === 'chips' ? 'horizontal' : 'vertical'}
+      isDropDisabled={viewActive}
+    >
+      {variant === 'chips' ? droppableChips : droppableList}
+    </Droppable>
+  );
+  if (virtualized && variant !== 'chips') {
+    droppable = (
+      <Droppable
+        droppableId={listId}
+        mode="virtual"
+        isDropDisabled={viewActive}
+        // the dragged row is rendered outside of the list, it may be scrolled out of view
+        renderClone={(provided, snapshot, rubric) =>
+          renderDraggableItem(viewIndexes[rubric.source.index], provided, {
+            clone: true,
+            draggingWith:
+              snapshot.draggingOver === listId ? rubric.draggableId : undefined,
+          })
+        }
+      >
+        {droppableVirtualList}
+      </Droppable>
+    );
+  }
+
+  /**
+   * @param {number} idx
+   * @param {Object} [style] Position of a virtualized row
+   * @return {React.ReactNode}
+   */
+  const renderStaticItem = (idx, style) => (
+    <div key={ids[idx]} {...getRowProps(idx)} style={style}>
+      <TawkifyListItem
+        value={getItemLabel(list[idx])}
+        renderedItem={
+          renderItem ? renderItem(list[idx], { index: idx, query }) : undefined
+        }
+        highlight={query}
+        disabled={disabled}
+        marker={getMarker(list[idx], idx)}
+        dense={size === 'dense'}
+        depth={tree ? depths[idx] : 0}
+        classes={itemClasses}
+        ListItemProps={slotProps.item}
+      />
+    </div>
+  );
+
+  // disabled / read only lists have no drag handles or controls
+  let staticList;
+  if (variant === 'chips') {
+    staticList = (
+      <div
+        className={classes.chips}
+        dir="ltr"
+        role="list"
+        aria-label={label}
+        {...slotProps.list}
+      >
+        {viewIndexes.map((idx) => (
+          <div key={ids[idx]} className={classes.chip} role="listitem">
+            <Chip
+              {...slotProps.chip}
+              label={
+                <HighlightedText text={getItemLabel(list[idx])} query={query} />
+              }
+              size={chipSize}
+              disabled={disabled}
+            />
+          </div>
+        ))}
+      </div>
+    );
+  } else if (virtualized) {
+    staticList = (
+      <div role={listRole} aria-label={label} {...slotProps.list}>
+        <FixedSizeList
+          className={classes.list}
+          height={virtualHeight}
+          width="100%"
+          itemCount={viewIndexes.length}
+          itemSize={rowHeight}
+          itemKey={(pos) => ids[viewIndexes[pos]]}
+          itemData={(pos, style) => renderStaticItem(viewIndexes[pos], style)}
+        >
+          {VirtualRow}
+        </FixedSizeList>
+      </div>
+    );
+  } else {
+    staticList = (
+      <List
+        className={listClassName}
+        style={{ maxHeight }}
+        role={listRole}
+        aria-label={label}
+        {...slotProps.list}
+      >
+        {viewIndexes.map((idx) => renderStaticItem(idx))}
+      </List>
+    );
+  }
+
+  const hiddenInputs = name && (
+    <TawkifyListHiddenInputs
+      name={name}
+      items={tree ? value : list}
+      ids={ids}
+      getItemLabel={getItemLabel}
+      // name[] fields can't represent sub-items
+      format={tree ? 'json' : submitFormat}
+      disabled={disabled}
+    />
+  );
+
+  const filterControls = (filterable || canSort) && (
+    <TawkifyListFilter
+      className={classes.filter}
+      filterable={filterable}
+      sortable={canSort}
+      filter={filter}
+      onFilterChange={setFilter}
+      sort={sort}
+      onSortChange={setSort}
+      matchCount={viewIndexes.length}
+      total={list.length}
+      t={t}
+    />
+  );
+
+  if (readOnly) {
+    return (
+      <div className={classes.root} dir={dir}>
+        <FormLabel
+          component="div"
+          className={`${classes.readOnlyLabel} ${classes.label}`}
+        >
+          {label}
+        </FormLabel>
+        {filterControls}
+        {staticList}
+        {hiddenInputs}
+      </div>
+    );
+  }
+
+  let listContent = staticList;
+  if (!disabled) {
+    listContent = registerWithGroup ? (
+      // the enclosing TawkifyListGroup provides the DragDropContext
+      droppable
+    ) : (
+      <DragDropContext onDragEnd={handleListReorder}>
+        {droppable}
+      </DragDropContext>
+    );
+  }
+
   return (
-    <div className={classes.root}>
+    <div
+      className={classes.root}
+      dir={dir}
+      onKeyDown={handleHistoryKeyDown}
+      onBlur={handleBlur}
+    >
       <TawkifyListInput
+        id={`${listId}-input`}
+        inputRef={inputEl}
+        labelClassName={classes.label}
+        TextFieldProps={slotProps.input}
         onKeyDown={handleKeyDown}
+        onPaste={handlePaste}
         label={label}
         placeholder={placeholder}
         value={input}
         onChange={(e) => {
+          // the value being checked is no longer the input
+          cancel();
           setInput(e.target.value);
+          setSuggestionsOpen(true);
+          setHighlighted(-1);
         }}
-        err={err}
+        onBlur={() => setSuggestionsOpen(false)}
+        suggestions={suggestions ? visibleOptions : undefined}
+        suggestionsId={suggestionsId}
+        highlighted={highlighted}
+        onSuggestionSelect={handleSuggestionSelect}
+        err={err || error || listError}
+        count={count}
+        countErr={rootCount < min || rootCount > max}
+        pending={pending || suggestionsLoading}
         disabled={disabled}
-        name={name || null}
+        disabledPlaceholder={t('inputDisabled')}
+        // not disabled: focus stays in the input, and backspace still removes the last chip
+        readOnly={full}
+        readOnlyPlaceholder={t('listMax', { max })}
+      />
+      {hiddenInputs}
+      {canSelect && !disabled && (
+        <TawkifyListToolbar
+          label={label}
+          selectedCount={visibleSelectedIds.length}
+          total={list.length}
+          allSelected={allVisibleSelected}
+          onSelectAll={handleSelectAll}
+          onRemoveSelected={handleRemoveSelected}
+          onMoveToTop={() => handleMoveSelected(true)}
+          onMoveToBottom={() => handleMoveSelected(false)}
+          onClear={handleClear}
+          t={t}
+        />
+      )}
+      {filterControls}
+      {listContent}
+      <div className={classes.visuallyHidden} role="status" aria-live="polite">
+        {announcement}
+      </div>
+      <Snackbar
+        open={undoSnackbarOpen}
+        autoHideDuration={5000}
+        onClose={(e, reason) => {
+          // keep the snackbar open while the user is clicking around the list
+          if (reason !== 'clickaway') setUndoSnackbarOpen(false);
+        }}
+        message={t('undoMessage', { count: removedCount })}
+        action={
+          <Button
+            color="secondary"
+            size="small"
+            // still clickable while the snackbar animates out after another edit
+            onClick={() => undoSnackbarOpen && handleUndo()}
+          >
+            {t('undo')}
+          </Button>
+        }
       />
-      <DragDropContext onDragEnd={handleListReorder}>
-        <Droppable droppableId={classes.list}>{droppableList}</Droppable>
-      </DragDropContext>
     </div>
   );
 }
@@ -0,0 +1,59 @@
+// deps
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// local deps
+import { createTranslator, getDirection } from '../util/i18n.util';
+
+const NO_MESSAGES = {};
+
+/**
+ * Locale, text direction and messages of the list inputs rendered inside a TawkifyI18nProvider
+ * @type {React.Context<{locale: string, dir: string, messages: Object<string, string>}>}
+ */
+export const TawkifyI18nContext = React.createContext({
+  locale: 'en',
+  dir: 'ltr',
+  messages: NO_MESSAGES,
+});
+
+TawkifyI18nProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+  // BCP 47 locale, e.g. "es" or "es-MX". Bundled catalogs: en, es
+  locale: PropTypes.string,
+  // overrides of the bundled messages, by message key
+  messages: PropTypes.objectOf(PropTypes.string),
+  // text direction, derived from locale by default
+  dir: PropTypes.oneOf(['ltr', 'rtl']),
+};
+
+export default function TawkifyI18nProvider(props) {
+  const { children, locale = 'en', messages = NO_MESSAGES, dir } = props;
+  const context = React.useMemo(
+    () => ({ locale, dir: dir || getDirection(locale), messages }),
+    [locale, dir, messages],
+  );
+  return (
+    <TawkifyI18nContext.Provider value={context}>
+      {children}
+    </TawkifyI18nContext.Provider>
+  );
+}
+
+/**
+ * Translate function of the enclosing TawkifyI18nProvider
+ * @param {Object<string, string>} [messages] Overrides of the provider's messages, e.g. a component's messages prop
+ * @return {{t: TranslateFn, locale: string, dir: string}}
+ */
+export function useTawkifyI18n(messages) {
+  const context = React.useContext(TawkifyI18nContext);
+  const t = React.useMemo(
+    () =>
+      createTranslator(
+        context.locale,
+        Object.assign({}, context.messages, messages),
+      ),
+    [context, messages],
+  );
+  return { t, locale: context.locale, dir: context.dir };
+}
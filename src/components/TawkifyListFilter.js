@@ -0,0 +1,88 @@
+// deps
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// components
+import TextField from '@material-ui/core/TextField';
+import MenuItem from '@material-ui/core/MenuItem';
+
+const SORT_ORDERS = ['none', 'asc', 'desc'];
+const SORT_LABEL_KEYS = { none: 'sortNone', asc: 'sortAsc', desc: 'sortDesc' };
+
+TawkifyListFilter.propTypes = {
+  className: PropTypes.string,
+  // show the filter box / the sort order select
+  filterable: PropTypes.bool,
+  sortable: PropTypes.bool,
+  filter: PropTypes.string.isRequired,
+  onFilterChange: PropTypes.func.isRequired,
+  sort: PropTypes.oneOf(SORT_ORDERS).isRequired,
+  onSortChange: PropTypes.func.isRequired,
+  // number of items matching the filter, out of total
+  matchCount: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired,
+  // translate function of the list
+  t: PropTypes.func.isRequired,
+};
+
+/**
+ * Filter box and sort order of a list. Both only change how the items are displayed, not the
+ * list itself.
+ */
+export default function TawkifyListFilter(props) {
+  const {
+    className,
+    filterable,
+    sortable,
+    filter,
+    onFilterChange,
+    sort,
+    onSortChange,
+    matchCount,
+    total,
+    t,
+  } = props;
+  let status = null;
+  if (filter.trim()) {
+    status = matchCount
+      ? t('filterCount', { count: matchCount, total })
+      : t('noMatches');
+  }
+  return (
+    <div className={className}>
+      {filterable && (
+        <TextField
+          type="search"
+          size="small"
+          placeholder={t('filterItems')}
+          value={filter}
+          onChange={(e) => onFilterChange(e.target.value)}
+          onKeyDown={(e) => {
+            // like the list input, Enter doesn't submit the enclosing form
+            if (e.key === 'Enter') e.preventDefault();
+          }}
+          inputProps={{ 'aria-label': t('filterItems') }}
+          helperText={
+            // always rendered, so the match count is read out when it changes
+            <span role="status">{status}</span>
+          }
+        />
+      )}
+      {sortable && (
+        <TextField
+          select
+          size="small"
+          label={t('sortOrder')}
+          value={sort}
+          onChange={(e) => onSortChange(e.target.value)}
+        >
+          {SORT_ORDERS.map((order) => (
+            <MenuItem key={order} value={order}>
+              {t(SORT_LABEL_KEYS[order])}
+            </MenuItem>
+          ))}
+        </TextField>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+// deps
+import React from 'react';
+import PropTypes from 'prop-types';
+import { DragDropContext } from 'react-beautiful-dnd';
+
+/**
+ * Lists rendered inside a TawkifyListGroup register themselves here (see
+ * TawkifyFormListInput groupHandlers) so items can be dragged between them
+ * @type {React.Context<function(string, Object): function(): void>}
+ */
+export const TawkifyListGroupContext = React.createContext(null);
+
+TawkifyListGroup.propTypes = {
+  children: PropTypes.node.isRequired,
+};
+
+export default function TawkifyListGroup(props) {
+  const { children } = props;
+  // droppableId -> ref to the list's group handlers
+  const lists = React.useRef(new Map());
+
+  const register = React.useCallback((droppableId, handlers) => {
+    lists.current.set(droppableId, handlers);
+    return () => lists.current.delete(droppableId);
+  }, []);
+
+  const handleDragEnd = (result) => {
+    const { source, destination } = result;
+    if (!destination) return;
+    const from = lists.current.get(source.droppableId);
+    const to = lists.current.get(destination.droppableId);
+    if (!from || !to) return;
+    if (from === to) {
+      from.current.reorder(result);
+      return;
+    }
+    if (!from.current.canRemove(source.index)) return;
+    const { id, item } = from.current.getItem(source.index);
+    // the destination list may validate asynchronously, only move the item once it is accepted
+    return to.current.accept(item, destination.index).then((accepted) => {
+      if (!accepted) return;
+      from.current.removeItem(id);
+      if (accepted.merge) return;
+      // keyboard drags keep focus on the moved item
+      to.current.insertItem(item, destination.index, result.mode === 'SNAP');
+    });
+  };
+
+  return (
+    <TawkifyListGroupContext.Provider value={register}>
+      <DragDropContext onDragEnd={handleDragEnd}>{children}</DragDropContext>
+    </TawkifyListGroupContext.Provider>
+  );
+}
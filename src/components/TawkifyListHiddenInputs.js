@@ -0,0 +1,39 @@
+// deps
+import React from 'react';
+import PropTypes from 'prop-types';
+
+TawkifyListHiddenInputs.propTypes = {
+  name: PropTypes.string.isRequired,
+  items: PropTypes.array.isRequired,
+  ids: PropTypes.arrayOf(PropTypes.string).isRequired,
+  getItemLabel: PropTypes.func.isRequired,
+  // "array" submits one name[] field per item, "json" a single JSON encoded name field
+  format: PropTypes.oneOf(['array', 'json']).isRequired,
+  disabled: PropTypes.bool,
+};
+
+/**
+ * Hidden inputs that submit the list's items with a native <form> / FormData
+ */
+export default function TawkifyListHiddenInputs(props) {
+  const { name, items, ids, getItemLabel, format, disabled } = props;
+  if (format === 'json') {
+    return (
+      <input
+        type="hidden"
+        name={name}
+        value={JSON.stringify(items)}
+        disabled={disabled}
+      />
+    );
+  }
+  return items.map((item, idx) => (
+    <input
+      key={ids[idx]}
+      type="hidden"
+      name={`${name}[]`}
+      value={getItemLabel(item)}
+      disabled={disabled}
+    />
+  ));
+}
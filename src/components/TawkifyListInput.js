@@ -1,56 +1,194 @@
 import React from 'react';
 import TextField from '@material-ui/core/TextField';
+import InputAdornment from '@material-ui/core/InputAdornment';
+import CircularProgress from '@material-ui/core/CircularProgress';
 import PropTypes from 'prop-types';
 
+// local components
+import TawkifyListSuggestions from './TawkifyListSuggestions';
+
+// styles
+import { makeStyles } from '@material-ui/core/styles';
+const useStyles = makeStyles((theme) => ({
+  helperText: {
+    display: 'flex',
+  },
+  count: {
+    marginLeft: 'auto',
+    paddingLeft: theme.spacing(1),
+    whiteSpace: 'nowrap',
+    color: theme.palette.text.secondary,
+  },
+  countErr: {
+    color: theme.palette.error.main,
+  },
+}));
+
 TawkifyInput.propTypes = {
+  id: PropTypes.string,
+  // accessible name of the input if it has no visible label
+  ariaLabel: PropTypes.string,
+  inputRef: PropTypes.oneOfType([PropTypes.func, PropTypes.object]),
+  labelClassName: PropTypes.string,
+  // extra props of the MUI TextField, e.g. variant or size
+  TextFieldProps: PropTypes.object,
   label: PropTypes.string,
   placeholder: PropTypes.string,
   err: PropTypes.string,
+  // item counter shown in the helper text, e.g. "2 / 3 items"
+  count: PropTypes.string,
+  countErr: PropTypes.bool,
   value: PropTypes.string,
   onChange: PropTypes.func.isRequired,
   onKeyDown: PropTypes.func.isRequired,
+  onPaste: PropTypes.func,
+  onBlur: PropTypes.func,
   disabled: PropTypes.bool,
+  disabledPlaceholder: PropTypes.string,
+  // nothing can be typed, unlike a disabled input it keeps focus and key presses
+  readOnly: PropTypes.bool,
+  readOnlyPlaceholder: PropTypes.string,
+  pending: PropTypes.bool,
+  autoFocus: PropTypes.bool,
+  // suggestions dropdown, only rendered if suggestions is set
+  suggestions: PropTypes.arrayOf(PropTypes.string),
+  suggestionsId: PropTypes.string,
+  highlighted: PropTypes.number,
+  onSuggestionSelect: PropTypes.func,
 };
 
 export default function TawkifyInput(props) {
+  const classes = useStyles();
   const {
+    id,
+    ariaLabel,
+    inputRef,
+    labelClassName,
+    TextFieldProps,
     label,
     placeholder,
     err,
+    count,
+    countErr,
     value,
     onChange,
     disabled,
+    disabledPlaceholder = 'This input is disabled',
+    readOnly,
+    readOnlyPlaceholder,
     onKeyDown,
+    onPaste,
+    onBlur,
+    pending,
+    autoFocus,
+    suggestions,
+    suggestionsId,
+    highlighted,
+    onSuggestionSelect,
   } = props;
-  if (err) {
-    return (
-      <TextField
-        InputLabelProps={{
-          color: 'primary',
-          shrink: true,
-        }}
-        onKeyDown={onKeyDown}
-        disabled={disabled}
-        error
-        placeholder={disabled ? 'This input is disabled' : placeholder}
-        label={label}
-        helperText={err}
-        value={value}
-        onChange={onChange}
-      />
+  const [anchorEl, setAnchorEl] = React.useState(null);
+  const InputProps = {
+    'readOnly': !!readOnly,
+    'aria-busy': !!pending,
+    'endAdornment': pending ? (
+      <InputAdornment position="end">
+        <CircularProgress size={16} />
+      </InputAdornment>
+    ) : null,
+  };
+  const inputProps = { 'aria-label': ariaLabel };
+  if (suggestions) {
+    const open = suggestions.length > 0;
+    Object.assign(inputProps, {
+      'role': 'combobox',
+      'aria-autocomplete': 'list',
+      'aria-expanded': open,
+      'aria-controls': suggestionsId,
+      'aria-activedescendant':
+        open && highlighted >= 0
+          ? `${suggestionsId}-${highlighted}`
+          : undefined,
+    });
+  }
+  const shownPlaceholder = disabled
+    ? disabledPlaceholder
+    : (readOnly && readOnlyPlaceholder) || placeholder;
+  let helperText = err;
+  if (count) {
+    helperText = (
+      <span className={classes.helperText}>
+        <span>{err}</span>
+        <span
+          className={
+            countErr ? `${classes.count} ${classes.countErr}` : classes.count
+          }
+        >
+          {count}
+        </span>
+      </span>
     );
   }
-  return (
+  const textField = err ? (
+    <TextField
+      {...TextFieldProps}
+      ref={setAnchorEl}
+      id={id}
+      inputRef={inputRef}
+      InputLabelProps={{
+        className: labelClassName,
+        color: 'primary',
+        shrink: true,
+      }}
+      InputProps={InputProps}
+      inputProps={inputProps}
+      onKeyDown={onKeyDown}
+      onPaste={onPaste}
+      onBlur={onBlur}
+      autoFocus={autoFocus}
+      disabled={disabled}
+      error
+      placeholder={shownPlaceholder}
+      label={label}
+      helperText={helperText}
+      value={value}
+      onChange={onChange}
+    />
+  ) : (
     <TextField
+      {...TextFieldProps}
+      ref={setAnchorEl}
+      id={id}
+      inputRef={inputRef}
       InputLabelProps={{
+        className: labelClassName,
         shrink: true,
       }}
+      InputProps={InputProps}
+      inputProps={inputProps}
       onKeyDown={onKeyDown}
+      onPaste={onPaste}
+      onBlur={onBlur}
+      autoFocus={autoFocus}
       disabled={disabled}
-      placeholder={disabled ? 'This input is disabled' : placeholder}
+      placeholder={shownPlaceholder}
       label={label}
+      helperText={helperText}
       value={value}
       onChange={onChange}
     />
   );
+  if (!suggestions) return textField;
+  return (
+    <>
+      {textField}
+      <TawkifyListSuggestions
+        id={suggestionsId}
+        anchorEl={anchorEl}
+        options={suggestions}
+        query={value}
+        highlighted={highlighted}
+        onSelect={onSuggestionSelect}
+      />
+    </>
+  );
 }
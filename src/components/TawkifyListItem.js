@@ -0,0 +1,146 @@
+// deps
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// components
+import ListItem from '@material-ui/core/ListItem';
+import ListItemIcon from '@material-ui/core/ListItemIcon';
+import ListItemText from '@material-ui/core/ListItemText';
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction';
+import Checkbox from '@material-ui/core/Checkbox';
+import IconButton from '@material-ui/core/IconButton';
+import ClearIcon from '@material-ui/icons/Clear';
+
+// local components
+import TawkifyListInput from './TawkifyListInput';
+import HighlightedText from './HighlightedText';
+
+// px the items of a tree list are indented by, per level
+const INDENT = 24;
+
+TawkifyListItem.propTypes = {
+  value: PropTypes.string.isRequired,
+  // accessible names of the remove button / inline edit input
+  removeLabel: PropTypes.string,
+  editLabel: PropTypes.string,
+  renderedItem: PropTypes.node,
+  // text to highlight in value (filter query)
+  highlight: PropTypes.string,
+  // no remove button / inline editing if not set (disabled / read only list)
+  onRemove: PropTypes.func,
+  onEditStart: PropTypes.func,
+  disabled: PropTypes.bool,
+  editing: PropTypes.bool,
+  editValue: PropTypes.string,
+  editErr: PropTypes.string,
+  editPending: PropTypes.bool,
+  onEditChange: PropTypes.func,
+  onEditKeyDown: PropTypes.func,
+  // no selection checkbox if onSelect is not set
+  selected: PropTypes.bool,
+  onSelect: PropTypes.func,
+  selectLabel: PropTypes.string,
+  // bullet / number shown before the item, null for none
+  marker: PropTypes.node,
+  dense: PropTypes.bool,
+  // level of the item in a tree list, 0 for top level items
+  depth: PropTypes.number,
+  // class names of the row, marker and remove icon
+  classes: PropTypes.shape({
+    item: PropTypes.string,
+    marker: PropTypes.string,
+    removeIcon: PropTypes.string,
+  }),
+  // extra props of the MUI ListItem / remove IconButton
+  ListItemProps: PropTypes.object,
+  removeButtonProps: PropTypes.object,
+};
+
+export default function TawkifyListItem(props) {
+  const {
+    value,
+    removeLabel,
+    editLabel,
+    renderedItem,
+    highlight,
+    onRemove,
+    onEditStart,
+    editing,
+    editValue,
+    editErr,
+    editPending,
+    onEditChange,
+    onEditKeyDown,
+    disabled,
+    selected,
+    onSelect,
+    selectLabel,
+    marker = '·',
+    dense = true,
+    depth = 0,
+    classes = {},
+    ListItemProps,
+    removeButtonProps,
+  } = props;
+  return (
+    // the wrapper is the list item, don't nest another <li>
+    <ListItem
+      component="div"
+      ContainerComponent="div"
+      className={classes.item}
+      dense={dense}
+      disabled={disabled}
+      selected={!!selected}
+      onDoubleClick={editing ? undefined : onEditStart}
+      // on top of the 16px gutter
+      style={depth ? { paddingInlineStart: 16 + depth * INDENT } : undefined}
+      {...ListItemProps}
+    >
+      {onSelect && (
+        <ListItemIcon>
+          <Checkbox
+            edge="start"
+            size="small"
+            checked={!!selected}
+            onChange={onSelect}
+            inputProps={{ 'aria-label': selectLabel }}
+          />
+        </ListItemIcon>
+      )}
+      {marker !== null && (
+        <ListItemIcon className={classes.marker} aria-hidden>
+          {marker}
+        </ListItemIcon>
+      )}
+      {editing ? (
+        <TawkifyListInput
+          autoFocus
+          ariaLabel={editLabel}
+          value={editValue}
+          onChange={onEditChange}
+          onKeyDown={onEditKeyDown}
+          err={editErr}
+          pending={editPending}
+        />
+      ) : (
+        renderedItem || (
+          <ListItemText
+            primary={<HighlightedText text={value} query={highlight} />}
+          />
+        )
+      )}
+      {onRemove && (
+        <ListItemSecondaryAction>
+          <IconButton
+            edge="end"
+            aria-label={removeLabel}
+            onClick={onRemove}
+            {...removeButtonProps}
+          >
+            <ClearIcon className={classes.removeIcon} />
+          </IconButton>
+        </ListItemSecondaryAction>
+      )}
+    </ListItem>
+  );
+}
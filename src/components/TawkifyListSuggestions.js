@@ -0,0 +1,57 @@
+// deps
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// components
+import Popper from '@material-ui/core/Popper';
+import Paper from '@material-ui/core/Paper';
+import List from '@material-ui/core/List';
+import ListItem from '@material-ui/core/ListItem';
+
+// local components
+import HighlightedText from './HighlightedText';
+
+TawkifyListSuggestions.propTypes = {
+  id: PropTypes.string.isRequired,
+  anchorEl: PropTypes.object,
+  options: PropTypes.arrayOf(PropTypes.string).isRequired,
+  query: PropTypes.string,
+  highlighted: PropTypes.number,
+  onSelect: PropTypes.func.isRequired,
+};
+
+export default function TawkifyListSuggestions(props) {
+  const { id, anchorEl, options, query, highlighted, onSelect } = props;
+  const open = !!anchorEl && options.length > 0;
+  return (
+    <Popper
+      open={open}
+      anchorEl={anchorEl}
+      placement="bottom-start"
+      style={{
+        zIndex: 1300,
+        width: anchorEl ? anchorEl.clientWidth : undefined,
+      }}
+    >
+      <Paper elevation={4}>
+        <List id={id} role="listbox" dense>
+          {options.map((option, idx) => (
+            <ListItem
+              key={option}
+              id={`${id}-${idx}`}
+              role="option"
+              aria-selected={idx === highlighted}
+              selected={idx === highlighted}
+              button
+              // keep focus in the input
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => onSelect(option)}
+            >
+              <HighlightedText text={option} query={query} />
+            </ListItem>
+          ))}
+        </List>
+      </Paper>
+    </Popper>
+  );
+}
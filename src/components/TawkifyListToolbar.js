@@ -0,0 +1,130 @@
+// deps
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// components
+import Toolbar from '@material-ui/core/Toolbar';
+import Checkbox from '@material-ui/core/Checkbox';
+import Typography from '@material-ui/core/Typography';
+import Button from '@material-ui/core/Button';
+import Dialog from '@material-ui/core/Dialog';
+import DialogContent from '@material-ui/core/DialogContent';
+import DialogContentText from '@material-ui/core/DialogContentText';
+import DialogActions from '@material-ui/core/DialogActions';
+
+// styles
+import { makeStyles } from '@material-ui/core/styles';
+const useStyles = makeStyles((theme) => ({
+  root: {
+    'flexWrap': 'wrap',
+    'padding': '0 10px',
+    '& .MuiButton-root': {
+      marginLeft: theme.spacing(1),
+    },
+  },
+  count: {
+    flexGrow: 1,
+  },
+}));
+
+TawkifyListToolbar.propTypes = {
+  // accessible name of the toolbar
+  label: PropTypes.string,
+  selectedCount: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired,
+  // every displayed item is selected
+  allSelected: PropTypes.bool.isRequired,
+  // called with true to select every displayed item, false to unselect them
+  onSelectAll: PropTypes.func.isRequired,
+  onRemoveSelected: PropTypes.func.isRequired,
+  onMoveToTop: PropTypes.func.isRequired,
+  onMoveToBottom: PropTypes.func.isRequired,
+  // called once clearing the list was confirmed
+  onClear: PropTypes.func.isRequired,
+  // translate function of the list
+  t: PropTypes.func.isRequired,
+};
+
+/**
+ * Bulk actions on the selected items of a list
+ */
+export default function TawkifyListToolbar(props) {
+  const classes = useStyles();
+  const {
+    label,
+    selectedCount,
+    total,
+    allSelected,
+    onSelectAll,
+    onRemoveSelected,
+    onMoveToTop,
+    onMoveToBottom,
+    onClear,
+    t,
+  } = props;
+  const [confirmOpen, setConfirmOpen] = React.useState(false);
+  const noSelection = !selectedCount;
+
+  const handleConfirm = () => {
+    setConfirmOpen(false);
+    onClear();
+  };
+
+  return (
+    <Toolbar
+      className={classes.root}
+      variant="dense"
+      disableGutters
+      role="toolbar"
+      aria-label={label}
+    >
+      <Checkbox
+        size="small"
+        checked={allSelected}
+        indeterminate={!!selectedCount && !allSelected}
+        disabled={!total}
+        onChange={(e) => onSelectAll(e.target.checked)}
+        inputProps={{ 'aria-label': t('selectAll') }}
+      />
+      <Typography className={classes.count} variant="body2">
+        {t('selectedCount', { count: selectedCount })}
+      </Typography>
+      <Button size="small" disabled={noSelection} onClick={onRemoveSelected}>
+        {t('removeSelected')}
+      </Button>
+      <Button size="small" disabled={noSelection} onClick={onMoveToTop}>
+        {t('moveToTop')}
+      </Button>
+      <Button size="small" disabled={noSelection} onClick={onMoveToBottom}>
+        {t('moveToBottom')}
+      </Button>
+      <Button
+        size="small"
+        color="secondary"
+        disabled={!total}
+        onClick={() => setConfirmOpen(true)}
+      >
+        {t('clearAll')}
+      </Button>
+      <Dialog
+        open={confirmOpen}
+        onClose={() => setConfirmOpen(false)}
+        aria-label={t('clearAll')}
+      >
+        <DialogContent>
+          <DialogContentText>
+            {t('clearAllConfirm', { count: total })}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmOpen(false)} color="primary">
+            {t('cancel')}
+          </Button>
+          <Button onClick={handleConfirm} color="secondary">
+            {t('clearAll')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Toolbar>
+  );
+}
@@ -0,0 +1,108 @@
+// deps
+import React from 'react';
+
+// components
+import Button from '@material-ui/core/Button';
+import TextField from '@material-ui/core/TextField';
+import MenuItem from '@material-ui/core/MenuItem';
+import FormControlLabel from '@material-ui/core/FormControlLabel';
+import Switch from '@material-ui/core/Switch';
+import Typography from '@material-ui/core/Typography';
+
+// local components
+import TawkifyFormListInput from './TawkifyFormListInput';
+
+const COUNTS = [1000, 10000];
+
+/**
+ * @param {number} count
+ * @return {Array<string>} Generated contacts, e.g. "Contact 1 <contact1@example.com>"
+ */
+function createContacts(count) {
+  return Array.from(
+    { length: count },
+    (e, i) => `Contact ${i + 1} <contact${i + 1}@example.com>`,
+  );
+}
+
+/**
+ * Benchmark of a long list, with and without virtualization
+ */
+export default function VirtualizedExamplePage() {
+  const [count, setCount] = React.useState(10000);
+  const [virtualized, setVirtualized] = React.useState(true);
+  // the list is mounted again on every run
+  const [run, setRun] = React.useState(null);
+  const [mountTime, setMountTime] = React.useState(null);
+  const startedAt = React.useRef(null);
+
+  React.useEffect(() => {
+    if (startedAt.current === null) return;
+    setMountTime(performance.now() - startedAt.current);
+    startedAt.current = null;
+  }, [run]);
+
+  const handleRun = () => {
+    startedAt.current = performance.now();
+    setMountTime(null);
+    setRun({ id: run ? run.id + 1 : 0, count, virtualized });
+  };
+
+  return (
+    <div>
+      <Typography variant="body2">
+        Renders a list of generated contacts and measures how long it takes to
+        mount. Without virtualization, 10,000 items lock up the page for a
+        while.
+      </Typography>
+      <div>
+        <TextField
+          select
+          label={'Items'}
+          value={count}
+          onChange={(e) => setCount(e.target.value)}
+          style={{ margin: '10px', minWidth: '120px' }}
+        >
+          {COUNTS.map((option) => (
+            <MenuItem key={option} value={option}>
+              {option.toLocaleString()}
+            </MenuItem>
+          ))}
+        </TextField>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={virtualized}
+              onChange={(e) => setVirtualized(e.target.checked)}
+              color={'primary'}
+            />
+          }
+          label={'Virtualized'}
+        />
+        <Button variant={'outlined'} color={'primary'} onClick={handleRun}>
+          Render
+        </Button>
+      </div>
+      {mountTime !== null && (
+        <Typography variant="body2" role="status">
+          Mounted {run.count.toLocaleString()} items (
+          {run.virtualized ? 'virtualized' : 'not virtualized'}) in{' '}
+          {Math.round(mountTime)} ms
+        </Typography>
+      )}
+      {run && (
+        <TawkifyFormListInput
+          key={run.id}
+          label={'Contacts'}
+          defaultList={createContacts(run.count)}
+          virtualized={run.virtualized}
+          maxHeight={400}
+          selectable
+          filterable
+          sortable
+          showCount
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+// deps
+import React from 'react';
+import isEqual from 'lodash.isequal';
+
+/**
+ * State that is either owned by the component (uncontrolled) or by its parent (controlled).
+ * - controlled: value and onChange are set, the parent updates value in onChange
+ * - semi-controlled: value is set without onChange. The component owns the state, but it is
+ *   reset whenever the parent passes a different value
+ * - uncontrolled: only defaultValue is set, it is used as the initial state
+ * Switching between controlled and uncontrolled logs a warning in development, like React's own inputs.
+ * @param {{value: *, defaultValue: *, onChange: function(*): void, name: string, componentName: string}} options
+ * name / componentName are only used in warnings
+ * @return {[*, function(*): void]} value and setter, like React.useState (no updater functions)
+ */
+export default function useControllableState(options) {
+  const { value, defaultValue, onChange, name, componentName } = options;
+  const controlled = value !== undefined && !!onChange;
+  const [state, setState] = React.useState(
+    value !== undefined ? value : defaultValue,
+  );
+
+  // last value passed in semi-controlled mode. Compared by content, so an inline array
+  // literal (a new array on every render) does not reset the state
+  const [syncedValue, setSyncedValue] = React.useState(value);
+  if (
+    !controlled &&
+    value !== undefined &&
+    value !== syncedValue &&
+    !isEqual(value, syncedValue)
+  ) {
+    setSyncedValue(value);
+    setState(value);
+  }
+
+  const wasControlled = React.useRef(controlled);
+  React.useEffect(() => {
+    if (
+      process.env.NODE_ENV !== 'production' &&
+      wasControlled.current !== controlled
+    ) {
+      console.error(
+        `${componentName} is changing ${
+          wasControlled.current ? 'a controlled' : 'an uncontrolled'
+        } ${name} to be ${controlled ? 'controlled' : 'uncontrolled'}. ` +
+          `Decide between using a controlled or uncontrolled ${name} for the lifetime of the component.`,
+      );
+    }
+    wasControlled.current = controlled;
+  }, [controlled, componentName, name]);
+
+  const setValue = (newValue) => {
+    if (controlled) onChange(newValue);
+    else setState(newValue);
+  };
+
+  return [controlled ? value : state, setValue];
+}
@@ -0,0 +1,71 @@
+// deps
+import React from 'react';
+
+// local deps
+import { uniqueId } from '../util/id.util';
+
+/**
+ * @return {string} A new list item id
+ */
+export function createItemId() {
+  return uniqueId('tawkify-item');
+}
+
+/**
+ * Carry ids over from prevList to list by matching equal items in order.
+ * Items without a match get a new id.
+ * @param {Array} prevList
+ * @param {Array<string>} prevIds
+ * @param {Array} list
+ * @return {Array<string>}
+ */
+function reconcileIds(prevList, prevIds, list) {
+  const used = new Set();
+  return list.map((item) => {
+    const idx = prevList.findIndex(
+      (prev, i) => prev === item && !used.has(prevIds[i]),
+    );
+    if (idx < 0) return createItemId();
+    used.add(prevIds[idx]);
+    return prevIds[idx];
+  });
+}
+
+/**
+ * Give each list item a stable id, for use as a React key / draggableId.
+ * Item values cannot be used since lists may contain duplicates.
+ *
+ * Ids follow their items when the list changes. Callers that know exactly how
+ * the ids change (e.g. removing the 2nd of two duplicate items) can say so with
+ * expectIds before setting the new list.
+ *
+ * @param {Array} list
+ * @param {function(*): string} [getItemKey] Use the items' own keys as ids
+ * @param {string} [scope] Prefix of the keyed ids, e.g. the list's id. Ids must be unique across
+ * the lists of a drag and drop group, and an item moved to another list can still be in the
+ * source list's undo history
+ * @return {{ids: Array<string>, expectIds: function(Array, function(Array<string>): Array<string>): void}}
+ */
+export default function useItemIds(list, getItemKey, scope) {
+  const state = React.useRef({ list: [], ids: [], next: null });
+  if (!getItemKey && state.current.list !== list) {
+    const { next } = state.current;
+    const ids =
+      next && next.list === list
+        ? next.ids
+        : reconcileIds(state.current.list, state.current.ids, list);
+    state.current = { list, ids, next: null };
+  }
+
+  const expectIds = React.useCallback((nextList, getIds) => {
+    state.current.next = { list: nextList, ids: getIds(state.current.ids) };
+  }, []);
+
+  if (getItemKey) {
+    const ids = list.map((item) =>
+      scope ? `${scope}:${getItemKey(item)}` : getItemKey(item),
+    );
+    return { ids, expectIds };
+  }
+  return { ids: state.current.ids, expectIds };
+}
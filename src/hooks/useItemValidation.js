@@ -0,0 +1,94 @@
+// deps
+import React from 'react';
+
+// local deps
+import { validateItem } from '../util/validators.util';
+
+/**
+ * @typedef {Object} ItemValidationResult
+ * @property {string|null} [error] check() only. Error message, or null if the item is valid
+ * @property {Array<string|null>} [errors] checkAll() only. Error message (or null) for each item
+ * @property {boolean} stale If true, the check was cancelled or superseded and the result should be ignored
+ */
+
+/**
+ * Run (possibly async) item validators while tracking a pending state.
+ *
+ * - only one check runs at a time. Starting a check for new values cancels the previous one
+ * - checking values that are already being checked does not start a new check, the duplicate
+ *   call resolves as stale so the items are only added once
+ * - cancel() aborts the running check (validators receive an AbortSignal)
+ *
+ * @param {Array<ItemValidatorFn>} validators
+ * @param {TranslateFn} [t] Passed to the validators to translate their error messages
+ * @return {{check: function(string, Array): Promise<ItemValidationResult>, checkAll: function(Array<string>, Array): Promise<ItemValidationResult>, cancel: function(): void, pending: boolean}}
+ */
+export default function useItemValidation(validators, t) {
+  const [pending, setPending] = React.useState(false);
+  const current = React.useRef(null);
+
+  const cancel = React.useCallback(() => {
+    if (!current.current) return;
+    current.current.controller.abort();
+    current.current = null;
+    setPending(false);
+  }, []);
+
+  /**
+   * @param {string} key Identifies the values being checked
+   * @param {function(AbortSignal): Promise<Object>} validate
+   * @return {Promise<ItemValidationResult>}
+   */
+  const run = React.useCallback(
+    (key, validate) => {
+      if (current.current && current.current.key === key) {
+        return Promise.resolve({ stale: true });
+      }
+      cancel();
+      const controller = new AbortController();
+      const entry = { key, controller };
+      current.current = entry;
+      setPending(true);
+      return validate(controller.signal).then((result) => {
+        if (current.current !== entry) return { ...result, stale: true };
+        current.current = null;
+        setPending(false);
+        return { ...result, stale: false };
+      });
+    },
+    [cancel],
+  );
+
+  const check = React.useCallback(
+    (value, list) =>
+      run(JSON.stringify([value]), (signal) =>
+        validateItem(value, validators, list, { signal, t }).then((error) => ({
+          error,
+        })),
+      ),
+    [validators, t, run],
+  );
+
+  const checkAll = React.useCallback(
+    (values, list) =>
+      run(JSON.stringify(values), (signal) =>
+        Promise.all(
+          values.map((value) =>
+            validateItem(value, validators, list, { signal, t }),
+          ),
+        ).then((errors) => ({ errors })),
+      ),
+    [validators, t, run],
+  );
+
+  // abort any running check on unmount
+  React.useEffect(
+    () => () => {
+      if (current.current) current.current.controller.abort();
+      current.current = null;
+    },
+    [],
+  );
+
+  return { check, checkAll, cancel, pending };
+}
@@ -0,0 +1,65 @@
+// deps
+import React from 'react';
+
+/**
+ * @typedef {Object} ListSnapshot
+ * @property {Array} list
+ * @property {Array<string>} ids
+ * @property {Array<number>} [depths] Depths of the items of a tree list
+ */
+
+/**
+ * Undo / redo stacks of list snapshots
+ * @param {number} depth Max number of snapshots to keep, 0 disables history
+ * @return {{record: function(ListSnapshot): void, undo: function(ListSnapshot): (ListSnapshot|null), redo: function(ListSnapshot): (ListSnapshot|null), canUndo: boolean, canRedo: boolean}}
+ */
+export default function useListHistory(depth) {
+  const [history, setHistory] = React.useState({ past: [], future: [] });
+  const { past, future } = history;
+
+  /**
+   * Save the list as it was before an edit. Clears the redo stack.
+   * @param {ListSnapshot} snapshot
+   */
+  const record = (snapshot) => {
+    if (!(depth > 0)) return;
+    setHistory((h) => ({
+      past: h.past.concat([snapshot]).slice(-depth),
+      future: [],
+    }));
+  };
+
+  /**
+   * @param {ListSnapshot} current The list as it is now, so it can be redone
+   * @return {ListSnapshot|null} The snapshot to restore, or null if there is nothing to undo
+   */
+  const undo = (current) => {
+    if (!past.length) return null;
+    setHistory({
+      past: past.slice(0, -1),
+      future: [current].concat(future),
+    });
+    return past[past.length - 1];
+  };
+
+  /**
+   * @param {ListSnapshot} current The list as it is now, so it can be undone again
+   * @return {ListSnapshot|null} The snapshot to restore, or null if there is nothing to redo
+   */
+  const redo = (current) => {
+    if (!future.length) return null;
+    setHistory({
+      past: past.concat([current]).slice(-depth),
+      future: future.slice(1),
+    });
+    return future[0];
+  };
+
+  return {
+    record,
+    undo,
+    redo,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+  };
+}
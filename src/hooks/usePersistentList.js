@@ -0,0 +1,149 @@
+// deps
+import React from 'react';
+
+// wait for the user to stop typing before writing to storage
+const SAVE_DELAY_MS = 500;
+// keeps the drafts apart from the page's other storage entries
+const KEY_PREFIX = 'tawkify-list:';
+const STORAGES = { local: 'localStorage', session: 'sessionStorage' };
+
+/**
+ * @typedef {Object} ListDraft
+ * @property {Array} list
+ * @property {string} input Text typed in the list's input
+ * @property {number} [savedAt] Timestamp of the save, in ms
+ */
+
+/**
+ * @param {string} storage "local" or "session"
+ * @return {Storage|null} null if web storage is not available, e.g. blocked by the browser
+ */
+function getStorage(storage) {
+  try {
+    return window[STORAGES[storage]] || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Read a saved draft. Drafts saved with another version, or that can't be parsed, are removed.
+ * @param {string} key
+ * @param {{storage: string, version: number}} options
+ * @return {ListDraft|null}
+ */
+function readDraft(key, options) {
+  const store = getStorage(options.storage);
+  if (!store) return null;
+  try {
+    const saved = store.getItem(KEY_PREFIX + key);
+    if (saved === null) return null;
+    const { version, list, input, savedAt } = JSON.parse(saved);
+    if (version === options.version && Array.isArray(list)) {
+      return { list, input: input || '', savedAt };
+    }
+  } catch (err) {
+    console.error(err);
+  }
+  removeDraft(key, options);
+  return null;
+}
+
+/**
+ * Save a draft, or remove it if the list and the input are empty
+ * @param {string} key
+ * @param {ListDraft} draft
+ * @param {{storage: string, version: number}} options
+ */
+function writeDraft(key, draft, options) {
+  const { list, input } = draft;
+  if (!list.length && !input) {
+    removeDraft(key, options);
+    return;
+  }
+  const store = getStorage(options.storage);
+  if (!store) return;
+  try {
+    store.setItem(
+      KEY_PREFIX + key,
+      JSON.stringify({
+        version: options.version,
+        list,
+        input,
+        savedAt: Date.now(),
+      }),
+    );
+  } catch (err) {
+    // e.g. the storage quota is exceeded, the list still works without a draft
+    console.error(err);
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {{storage: string}} options
+ */
+function removeDraft(key, options) {
+  const store = getStorage(options.storage);
+  if (store) store.removeItem(KEY_PREFIX + key);
+}
+
+/**
+ * Save a list and the text typed in its input to web storage, so they survive a page reload.
+ * Saves are debounced, pending saves are written right away when the page is hidden (reloaded,
+ * closed) or the component unmounts.
+ * @param {string} [key] Storage key, nothing is saved or restored without one
+ * @param {{storage: string, version: number, delay: number}} [options] storage is "local"
+ * (default) or "session". Drafts saved with another version (default 1) are discarded, bump it
+ * when the shape of the items changes. delay (ms) to wait after the last change before saving
+ * @return {{draft: (ListDraft|null), save: function(ListDraft): void, clear: function(): void}}
+ * draft is the state that was saved when the component mounted. clear removes the saved draft
+ * and cancels pending saves, e.g. once the list was submitted
+ */
+export default function usePersistentList(key, options = {}) {
+  const { storage = 'local', version = 1, delay = SAVE_DELAY_MS } = options;
+  const [draft] = React.useState(() =>
+    key ? readDraft(key, { storage, version }) : null,
+  );
+  // options may be a new (inline) object on every render
+  const config = React.useRef(null);
+  config.current = { key, storage, version, delay };
+  // the latest state waiting to be saved
+  const pending = React.useRef(null);
+  const timer = React.useRef(null);
+
+  const flush = React.useCallback(() => {
+    clearTimeout(timer.current);
+    if (!pending.current) return;
+    const { key, ...storeOptions } = config.current;
+    writeDraft(key, pending.current, storeOptions);
+    pending.current = null;
+  }, []);
+
+  const save = React.useCallback(
+    (state) => {
+      if (!config.current.key) return;
+      pending.current = state;
+      clearTimeout(timer.current);
+      timer.current = setTimeout(flush, config.current.delay);
+    },
+    [flush],
+  );
+
+  const clear = React.useCallback(() => {
+    clearTimeout(timer.current);
+    pending.current = null;
+    const { key, ...storeOptions } = config.current;
+    if (key) removeDraft(key, storeOptions);
+  }, []);
+
+  React.useEffect(() => {
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, [flush]);
+
+  return { draft, save, clear };
+}
@@ -0,0 +1,66 @@
+// deps
+import React from 'react';
+
+// wait for the user to stop typing before querying an async suggestions source
+const DEBOUNCE_MS = 250;
+const MAX_SUGGESTIONS = 10;
+
+/**
+ * @param {Array<string>} options
+ * @param {string} query
+ * @return {Array<string>} Options containing query (case-insensitive)
+ */
+function filterOptions(options, query) {
+  const needle = query.trim().toLowerCase();
+  return options.filter((option) => option.toLowerCase().includes(needle));
+}
+
+/**
+ * Suggested values for query, from a static array or an async function
+ * @param {Array<string>|function(string): Promise<Array<string>>} [source]
+ * @param {string} query
+ * @param {function(string): boolean} exclude Return true to hide a suggestion (e.g. it is already in the list)
+ * @return {{options: Array<string>, loading: boolean}}
+ */
+export default function useSuggestions(source, query, exclude) {
+  const isAsync = typeof source === 'function';
+  const [fetched, setFetched] = React.useState([]);
+  const [loading, setLoading] = React.useState(false);
+  // source may be a new (inline) function on every render, only refetch when the query changes
+  const sourceRef = React.useRef(source);
+  sourceRef.current = source;
+
+  React.useEffect(() => {
+    if (!isAsync || !query.trim()) {
+      setFetched([]);
+      setLoading(false);
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    const timer = setTimeout(() => {
+      Promise.resolve(sourceRef.current(query))
+        .catch((err) => {
+          console.error(err);
+          return [];
+        })
+        .then((options) => {
+          if (cancelled) return;
+          setFetched(options || []);
+          setLoading(false);
+        });
+    }, DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isAsync, query]);
+
+  const options = isAsync ? fetched : filterOptions(source || [], query);
+  return {
+    options: options
+      .filter((option) => !exclude(option))
+      .slice(0, MAX_SUGGESTIONS),
+    loading,
+  };
+}
@@ -0,0 +1,51 @@
+// deps
+import { useController } from 'react-hook-form';
+
+// local deps
+import { validateListLength } from '../util/validators.util';
+import { useTawkifyI18n } from '../components/TawkifyI18nProvider';
+
+/**
+ * Bind a TawkifyFormListInput to a React Hook Form field. required / min / max are
+ * registered as the field's validation rules.
+ * @example
+ * const { control, handleSubmit } = useForm();
+ * const tags = useTawkifyListField({ name: 'tags', control, required: true, max: 5 });
+ * <TawkifyFormListInput label="Tags" {...tags} />
+ * @param {{name: string, control: Object, required: boolean, min: number, max: number, defaultValue: Array, messages: Object<string, string>}} options
+ * messages overrides the TawkifyI18nProvider's messages, pass the same messages to TawkifyFormListInput
+ * @return {{name: string, required: boolean, min: number, max: number, list: Array, setList: function(Array): void, onBlur: function(): void, error: (string|undefined)}}
+ * Props for TawkifyFormListInput
+ */
+export default function useTawkifyListField(options) {
+  const {
+    name,
+    control,
+    required,
+    min,
+    max,
+    defaultValue = [],
+    messages,
+  } = options;
+  const { t } = useTawkifyI18n(messages);
+  const { field, fieldState } = useController({
+    name,
+    control,
+    defaultValue,
+    rules: {
+      // react hook form expects true for a valid field
+      validate: (value) =>
+        validateListLength(value || [], { required, min, max }, t) || true,
+    },
+  });
+  return {
+    name: field.name,
+    required,
+    min,
+    max,
+    list: field.value || [],
+    setList: field.onChange,
+    onBlur: field.onBlur,
+    error: fieldState.error ? fieldState.error.message : undefined,
+  };
+}
@@ -0,0 +1,24 @@
+// deps
+import { useTheme } from '@material-ui/core/styles';
+
+/**
+ * Fill in props that were not passed with the theme's default props for the component, read from
+ * `theme.props[name]` (MUI v4) and `theme.components[name].defaultProps` (MUI v5 style)
+ * @param {string} name Component name, e.g. "TawkifyFormListInput"
+ * @param {Object} props
+ * @return {Object}
+ */
+export default function useThemeProps(name, props) {
+  const theme = useTheme();
+  const component = theme.components && theme.components[name];
+  const defaults = Object.assign(
+    {},
+    theme.props && theme.props[name],
+    component && component.defaultProps,
+  );
+  const output = Object.assign({}, props);
+  Object.keys(defaults).forEach((prop) => {
+    if (output[prop] === undefined) output[prop] = defaults[prop];
+  });
+  return output;
+}
@@ -0,0 +1,74 @@
+/**
+ * English messages of the list input, the default catalog.
+ * Messages use a subset of the ICU message format, see formatMessage in util/i18n.util.js
+ */
+export default {
+  // item validation
+  inputEmpty: 'Input cannot be empty',
+  duplicateItem: 'This item is already in the list',
+  invalidItem: 'This item is not valid',
+  validationFailed: 'Unable to validate this item',
+  mustMatch: 'Input must match {pattern}',
+  chooseSuggestion: 'Please choose one of the suggestions',
+  invalidEmail: 'Please enter a valid email address',
+  invalidPhone: 'Please enter a valid phone number',
+  invalidInteger: 'Please enter a whole number',
+  invalidNumber: 'Please enter a number',
+  invalidUrl: 'Please enter a valid URL (http or https)',
+  itemsNotAdded:
+    '{rejected} of {total, plural, one {# item was} other {# items were}} not added: {details}',
+  // list validation
+  listRequired: 'At least one item is required',
+  listMin: 'List needs at least {min, plural, one {# item} other {# items}}',
+  listMax: 'List has a max length of {max}',
+  // disabled list
+  inputDisabled: 'This input is disabled',
+  editDisabled: 'Editing this list is disabled',
+  reorderDisabled: 'Reordering this list is disabled',
+  // counter
+  itemCount: '{count, plural, one {# item} other {# items}}',
+  itemCountOfMax: '{count} / {max, plural, one {# item} other {# items}}',
+  // screen reader announcements / labels
+  itemAdded: "Added '{item}'",
+  itemsAdded: 'Added {count, plural, one {# item} other {# items}}',
+  itemRemoved: "Removed '{item}'",
+  itemMoved: "Moved '{item}' to position {position} of {total}",
+  removeItem: "Remove item '{item}'",
+  editItem: "Edit item '{item}'",
+  selectItem: "Select item '{item}'",
+  itemsRemoved: 'Removed {count, plural, one {# item} other {# items}}',
+  itemsMovedToTop:
+    'Moved {count, plural, one {# item} other {# items}} to the top',
+  itemsMovedToBottom:
+    'Moved {count, plural, one {# item} other {# items}} to the bottom',
+  // bulk actions toolbar
+  selectAll: 'Select all items',
+  selectedCount: '{count} selected',
+  removeSelected: 'Remove selected',
+  moveToTop: 'Move to top',
+  moveToBottom: 'Move to bottom',
+  clearAll: 'Clear all',
+  clearAllConfirm:
+    'Remove all {count, plural, one {# item} other {# items}} from the list?',
+  cancel: 'Cancel',
+  // filter / sort
+  filterItems: 'Filter items',
+  filterCount: '{count} of {total, plural, one {# item} other {# items}}',
+  noMatches: 'No matching items',
+  sortOrder: 'Sort',
+  sortNone: 'Insertion order',
+  sortAsc: 'A–Z',
+  sortDesc: 'Z–A',
+  reorderFiltered:
+    'Clear the filter and sort in insertion order to reorder the list',
+  // tree lists
+  itemLevel: "Moved '{item}' to level {level}",
+  levelMax:
+    'An item has a max of {max, plural, one {# sub-item} other {# sub-items}}',
+  treeMaxDepth:
+    'Items cannot be nested more than {max, plural, one {# level} other {# levels}} deep',
+  moveWithChildren: 'Items with sub-items cannot be moved to another list',
+  // undo snackbar
+  undoMessage: '{count, plural, one {Item removed} other {# items removed}}',
+  undo: 'Undo',
+};
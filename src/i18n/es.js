@@ -0,0 +1,82 @@
+/**
+ * Spanish messages of the list input
+ */
+export default {
+  // item validation
+  inputEmpty: 'El campo no puede estar vacío',
+  duplicateItem: 'Este elemento ya está en la lista',
+  invalidItem: 'Este elemento no es válido',
+  validationFailed: 'No se pudo validar este elemento',
+  mustMatch: 'El valor debe coincidir con {pattern}',
+  chooseSuggestion: 'Elige una de las sugerencias',
+  invalidEmail: 'Introduce un correo electrónico válido',
+  invalidPhone: 'Introduce un número de teléfono válido',
+  invalidInteger: 'Introduce un número entero',
+  invalidNumber: 'Introduce un número',
+  invalidUrl: 'Introduce una URL válida (http o https)',
+  itemsNotAdded:
+    'No se {rejected, plural, one {añadió} other {añadieron}} {rejected} de {total, plural, one {# elemento} other {# elementos}}: {details}',
+  // list validation
+  listRequired: 'Se requiere al menos un elemento',
+  listMin:
+    'La lista necesita al menos {min, plural, one {# elemento} other {# elementos}}',
+  listMax:
+    'La lista admite como máximo {max, plural, one {# elemento} other {# elementos}}',
+  // disabled list
+  inputDisabled: 'Este campo está desactivado',
+  editDisabled: 'La edición de esta lista está desactivada',
+  reorderDisabled: 'Reordenar esta lista está desactivado',
+  // counter
+  itemCount: '{count, plural, one {# elemento} other {# elementos}}',
+  itemCountOfMax:
+    '{count} / {max, plural, one {# elemento} other {# elementos}}',
+  // screen reader announcements / labels
+  itemAdded: "Se añadió '{item}'",
+  itemsAdded:
+    'Se {count, plural, one {añadió # elemento} other {añadieron # elementos}}',
+  itemRemoved: "Se eliminó '{item}'",
+  itemMoved: "'{item}' se movió a la posición {position} de {total}",
+  removeItem: "Eliminar el elemento '{item}'",
+  editItem: "Editar el elemento '{item}'",
+  selectItem: "Seleccionar el elemento '{item}'",
+  itemsRemoved:
+    'Se {count, plural, one {eliminó # elemento} other {eliminaron # elementos}}',
+  itemsMovedToTop:
+    'Se {count, plural, one {movió # elemento} other {movieron # elementos}} al principio',
+  itemsMovedToBottom:
+    'Se {count, plural, one {movió # elemento} other {movieron # elementos}} al final',
+  // bulk actions toolbar
+  selectAll: 'Seleccionar todos los elementos',
+  selectedCount:
+    '{count, plural, one {# seleccionado} other {# seleccionados}}',
+  removeSelected: 'Eliminar seleccionados',
+  moveToTop: 'Mover al principio',
+  moveToBottom: 'Mover al final',
+  clearAll: 'Vaciar la lista',
+  clearAllConfirm:
+    '¿Eliminar {count, plural, one {el elemento} other {los # elementos}} de la lista?',
+  cancel: 'Cancelar',
+  // filter / sort
+  filterItems: 'Filtrar elementos',
+  filterCount:
+    '{count} de {total, plural, one {# elemento} other {# elementos}}',
+  noMatches: 'Ningún elemento coincide',
+  sortOrder: 'Ordenar',
+  sortNone: 'Orden de inserción',
+  sortAsc: 'A–Z',
+  sortDesc: 'Z–A',
+  reorderFiltered:
+    'Quita el filtro y ordena por orden de inserción para reordenar la lista',
+  // tree lists
+  itemLevel: "'{item}' se movió al nivel {level}",
+  levelMax:
+    'Un elemento admite como máximo {max, plural, one {# subelemento} other {# subelementos}}',
+  treeMaxDepth:
+    'Los elementos no se pueden anidar en más de {max, plural, one {# nivel} other {# niveles}}',
+  moveWithChildren:
+    'Los elementos con subelementos no se pueden mover a otra lista',
+  // undo snackbar
+  undoMessage:
+    '{count, plural, one {Elemento eliminado} other {# elementos eliminados}}',
+  undo: 'Deshacer',
+};
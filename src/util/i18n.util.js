@@ -0,0 +1,172 @@
+// local deps
+import en from '../i18n/en';
+import es from '../i18n/es';
+
+/**
+ * Bundled message catalogs by language
+ * @type {Object<string, Object<string, string>>}
+ */
+export const CATALOGS = { en, es };
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+/**
+ * @param {string} locale e.g. "es-MX"
+ * @return {string} e.g. "es"
+ */
+function getLanguage(locale) {
+  return locale.split('-')[0].toLowerCase();
+}
+
+/**
+ * @param {string} locale
+ * @return {string} "rtl" for right-to-left languages, "ltr" otherwise
+ */
+export function getDirection(locale) {
+  return RTL_LANGUAGES.includes(getLanguage(locale)) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Find the index of the } closing the { at open
+ * @param {string} template
+ * @param {number} open
+ * @return {number}
+ */
+function findClose(template, open) {
+  let depth = 0;
+  for (let i = open; i < template.length; i++) {
+    if (template[i] === '{') depth++;
+    if (template[i] === '}' && !--depth) return i;
+  }
+  throw new Error(`Unbalanced braces in message "${template}"`);
+}
+
+/**
+ * Parse the branches of a plural / select argument, e.g. "one {# item} other {# items}"
+ * @param {string} str
+ * @return {Object<string, string>} Branch text by selector
+ */
+function parseBranches(str) {
+  const branches = {};
+  let i = 0;
+  while (i < str.length) {
+    const open = str.indexOf('{', i);
+    if (open === -1) break;
+    const close = findClose(str, open);
+    branches[str.slice(i, open).trim()] = str.slice(open + 1, close);
+    i = close + 1;
+  }
+  return branches;
+}
+
+/**
+ * Replace # with the formatted number, except inside nested arguments
+ * @param {string} branch
+ * @param {string} number
+ * @return {string}
+ */
+function replaceHash(branch, number) {
+  let depth = 0;
+  let out = '';
+  for (const char of branch) {
+    if (char === '{') depth++;
+    if (char === '}') depth--;
+    out += char === '#' && !depth ? number : char;
+  }
+  return out;
+}
+
+/**
+ * Format a single {argument}
+ * @param {string} arg Text between the braces
+ * @param {Object} values
+ * @param {string} locale
+ * @return {string}
+ */
+function formatArgument(arg, values, locale) {
+  const first = arg.indexOf(',');
+  const name = (first === -1 ? arg : arg.slice(0, first)).trim();
+  const value = values[name];
+  if (first === -1) return value === undefined ? `{${name}}` : String(value);
+  const second = arg.indexOf(',', first + 1);
+  const type = arg.slice(first + 1, second === -1 ? undefined : second).trim();
+  const branches = parseBranches(second === -1 ? '' : arg.slice(second + 1));
+  let branch;
+  if (type === 'plural') {
+    branch =
+      branches[`=${value}`] !== undefined
+        ? branches[`=${value}`]
+        : branches[new Intl.PluralRules(locale).select(value)];
+    if (branch === undefined) branch = branches.other || '';
+    branch = replaceHash(branch, new Intl.NumberFormat(locale).format(value));
+  } else if (type === 'select') {
+    branch = branches[value] !== undefined ? branches[value] : branches.other;
+  } else {
+    throw new Error(`Unsupported message argument type "${type}"`);
+  }
+  return formatMessage(branch || '', values, locale);
+}
+
+/**
+ * Format a message using a subset of the ICU message format:
+ * - `{name}` is replaced with values.name
+ * - `{count, plural, =0 {none} one {# item} other {# items}}` picks a branch with Intl.PluralRules,
+ *   # is replaced with the formatted number
+ * - `{gender, select, male {he} female {she} other {they}}` picks a branch by value
+ * Apostrophes are plain text (no ICU quoting).
+ * @example
+ * formatMessage('{count, plural, one {# item} other {# items}}', { count: 2 }, 'en') === '2 items'
+ * @param {string} template
+ * @param {Object} [values]
+ * @param {string} [locale] default="en"
+ * @return {string}
+ */
+export function formatMessage(template, values = {}, locale = 'en') {
+  let out = '';
+  let i = 0;
+  while (i < template.length) {
+    const open = template.indexOf('{', i);
+    if (open === -1) {
+      out += template.slice(i);
+      break;
+    }
+    const close = findClose(template, open);
+    out += template.slice(i, open);
+    out += formatArgument(template.slice(open + 1, close), values, locale);
+    i = close + 1;
+  }
+  return out;
+}
+
+/**
+ * @callback TranslateFn
+ * @param {string} key Message key, see i18n/en.js
+ * @param {Object} [values] Values of the message's arguments
+ * @return {string}
+ */
+
+/**
+ * Build a translate function for locale. Messages are looked up in messages, then in the
+ * bundled catalog of the locale's language, then in the English catalog.
+ * @param {string} [locale] default="en"
+ * @param {Object<string, string>} [messages] Overrides of the bundled messages
+ * @return {TranslateFn}
+ */
+export function createTranslator(locale = 'en', messages = {}) {
+  const catalog = Object.assign(
+    {},
+    en,
+    CATALOGS[getLanguage(locale)],
+    messages,
+  );
+  return (key, values) => {
+    if (catalog[key] === undefined) return key;
+    return formatMessage(catalog[key], values, locale);
+  };
+}
+
+/**
+ * English translate function, used when no translate function is passed in
+ * @type {TranslateFn}
+ */
+export const defaultTranslate = createTranslator();
@@ -0,0 +1,10 @@
+let nextId = 0;
+
+/**
+ * @param {string} prefix
+ * @return {string} A new id, unique for the lifetime of the page
+ */
+export function uniqueId(prefix) {
+  nextId += 1;
+  return `${prefix}-${nextId}`;
+}
@@ -0,0 +1,95 @@
+// local deps
+import { escapeRegExp, strCompareIntl } from '../../util/string.util';
+
+/**
+ * Find the index of value in list
+ * @param {Array<string>} list
+ * @param {string} value
+ * @param {boolean} [ignoreCase] default=false
+ * @return {number} -1 if not found, idx otherwise
+ */
+export function indexOfItem(list, value, ignoreCase = false) {
+  if (!ignoreCase) return list.indexOf(value);
+  const lower = value.toLowerCase();
+  return list.findIndex((item) => item.toLowerCase() === lower);
+}
+
+/**
+ * Return a copy of list with the item at from moved to to
+ * @param {Array} list
+ * @param {number} from
+ * @param {number} to
+ * @return {Array}
+ */
+export function moveItem(list, from, to) {
+  const items = Array.from(list);
+  const [moved] = items.splice(from, 1);
+  items.splice(to, 0, moved);
+  return items;
+}
+
+/**
+ * Return a copy of list with the items at indexes moved together to to, keeping their order
+ * @example
+ * moveItems(['a', 'b', 'c', 'd'], [0, 2], 1) === ['b', 'a', 'c', 'd']
+ * @param {Array} list
+ * @param {Array<number>} indexes Ascending
+ * @param {number} to Index of the first moved item in the returned list
+ * @return {Array}
+ */
+export function moveItems(list, indexes, to) {
+  const moving = new Set(indexes);
+  const moved = indexes.map((idx) => list[idx]);
+  const rest = list.filter((e, i) => !moving.has(i));
+  return rest.slice(0, to).concat(moved, rest.slice(to));
+}
+
+/**
+ * Return true if text contains any of delimiters
+ * @param {string} text
+ * @param {Array<string>} delimiters
+ * @return {boolean}
+ */
+export function hasDelimiter(text, delimiters) {
+  return delimiters.some((delimiter) => text.includes(delimiter));
+}
+
+/**
+ * Split text into non-blank items on any of delimiters. Items are not trimmed, that is up to the
+ * list's normalize transforms
+ * @example
+ * splitItems('a, b;;c\n', [',', ';', '\n']) === ['a', ' b', 'c']
+ * @param {string} text
+ * @param {Array<string>} delimiters
+ * @return {Array<string>}
+ */
+export function splitItems(text, delimiters) {
+  const pattern = new RegExp(delimiters.map(escapeRegExp).join('|'));
+  return text.split(pattern).filter((item) => item.trim());
+}
+
+const SORT_OPTIONS = { sensitivity: 'base', numeric: true };
+
+/**
+ * Indexes of the items to display, in display order
+ * @example
+ * getViewIndexes(['b', 'a', 'ab'], { query: 'a', sort: 'asc', locale: 'en' }) === [1, 2]
+ * @param {Array<string>} labels Labels of the list's items
+ * @param {{query: string, sort: string, locale: string}} options query (lowercase) is matched
+ * anywhere in the label, ignoring case. sort is "none" (list order), "asc" or "desc"
+ * @return {Array<number>}
+ */
+export function getViewIndexes(labels, options) {
+  const { query, sort, locale } = options;
+  const indexes = [];
+  labels.forEach((label, i) => {
+    if (!query || label.toLowerCase().includes(query)) indexes.push(i);
+  });
+  if (sort === 'none') return indexes;
+  const direction = sort === 'desc' ? -1 : 1;
+  // Array.prototype.sort is stable, equal labels keep their list order
+  return indexes.sort(
+    (a, b) =>
+      direction * strCompareIntl(labels[a], labels[b], locale, SORT_OPTIONS),
+  );
+}
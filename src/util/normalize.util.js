@@ -0,0 +1,49 @@
+// local deps
+import {
+  trim,
+  collapseWhitespace,
+  lowerCase,
+  unicodeNormalize,
+  normalizeString,
+} from '../../util/string.util';
+
+/**
+ * @callback NormalizeFn
+ * @param {string} text
+ * @return {string}
+ */
+
+/**
+ * Built-in transforms of the normalize prop. The string utils return null for an empty
+ * string, transforms always return a string.
+ * @type {Object<string, NormalizeFn>}
+ */
+export const NORMALIZERS = {
+  trim: (text) => trim(text) || '',
+  collapseWhitespace: (text) => collapseWhitespace(text) || '',
+  lowercase: (text) => lowerCase(text) || '',
+  // compose characters, e.g. "e" + combining accent becomes "é"
+  nfc: (text) => unicodeNormalize(text, true) || '',
+  stripDiacritics: (text) => unicodeNormalize(text) || '',
+  // strip diacritics and non printable / non ascii characters, lowercase and trim
+  normalizeString: (text) => normalizeString(text) || '',
+};
+
+/**
+ * Combine the normalize prop into a single function applying each transform in order
+ * @example
+ * createNormalizer(['trim', 'lowercase', (text) => text.replace(/^#/, '')])(' #Tag') === 'tag'
+ * @param {string|NormalizeFn|Array<string|NormalizeFn>} [normalize] Keys of NORMALIZERS or custom transforms
+ * @return {NormalizeFn}
+ */
+export function createNormalizer(normalize) {
+  const transforms = [].concat(normalize || []).map((transform) => {
+    if (typeof transform === 'function') return transform;
+    if (!NORMALIZERS[transform]) {
+      throw new Error(`Unknown normalizer ${transform}`);
+    }
+    return NORMALIZERS[transform];
+  });
+  return (text) =>
+    transforms.reduce((value, transform) => transform(value), text);
+}
@@ -0,0 +1,19 @@
+/**
+ * Wrap a makeStyles styles function so the theme's `components[name].styleOverrides` (MUI v5 style)
+ * are merged into its rules. MUI v4 style `overrides[name]` are merged by makeStyles itself when it
+ * is given the same name.
+ * @param {string} name Component name, e.g. "TawkifyFormListInput"
+ * @param {function(Object): Object} styles
+ * @return {function(Object): Object}
+ */
+export function withStyleOverrides(name, styles) {
+  return (theme) => {
+    const rules = styles(theme);
+    const component = theme.components && theme.components[name];
+    const overrides = (component && component.styleOverrides) || {};
+    Object.keys(overrides).forEach((rule) => {
+      rules[rule] = Object.assign({}, rules[rule], overrides[rule]);
+    });
+    return rules;
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * Tree lists are stored as nested nodes, { item, children }, and edited as a flat list of their
+ * items in depth-first order, with the depth of each item (0 for top level items). An item's
+ * descendants are the items right after it that are deeper than it.
+ */
+
+/**
+ * @typedef {Object} TreeNode
+ * @property {*} item A list item, as for a flat list
+ * @property {Array<TreeNode>} [children]
+ */
+
+/**
+ * @example
+ * flattenTree([{ item: 'a', children: [{ item: 'b' }] }, { item: 'c' }]) ===
+ *   { items: ['a', 'b', 'c'], depths: [0, 1, 0] }
+ * @param {Array<TreeNode>} nodes
+ * @return {{items: Array, depths: Array<number>}}
+ */
+export function flattenTree(nodes) {
+  const items = [];
+  const depths = [];
+  const visit = (node, depth) => {
+    items.push(node.item);
+    depths.push(depth);
+    (node.children || []).forEach((child) => visit(child, depth + 1));
+  };
+  nodes.forEach((node) => visit(node, 0));
+  return { items, depths };
+}
+
+/**
+ * Inverse of flattenTree. Only items with sub-items get a children array
+ * @param {Array} items
+ * @param {Array<number>} depths Valid depths, see fixDepths
+ * @return {Array<TreeNode>}
+ */
+export function buildTree(items, depths) {
+  const roots = [];
+  // last node seen at each depth
+  const parents = [];
+  items.forEach((item, i) => {
+    const node = { item };
+    const depth = depths[i];
+    if (depth) {
+      const parent = parents[depth - 1];
+      if (!parent.children) parent.children = [];
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+    parents[depth] = node;
+  });
+  return roots;
+}
+
+/**
+ * Clamp depths so the first item is at the top level and no item is more than one level deeper
+ * than the item before it (e.g. once its parent was removed)
+ * @param {Array<number>} depths
+ * @return {Array<number>}
+ */
+export function fixDepths(depths) {
+  let prev = -1;
+  return depths.map((depth) => {
+    prev = Math.max(0, Math.min(depth, prev + 1));
+    return prev;
+  });
+}
+
+/**
+ * @param {Array<number>} depths
+ * @param {number} idx
+ * @return {number} Index after the last descendant of the item at idx
+ */
+export function getSubtreeEnd(depths, idx) {
+  let end = idx + 1;
+  while (end < depths.length && depths[end] > depths[idx]) end++;
+  return end;
+}
+
+/**
+ * @param {Array<number>} depths
+ * @param {number} idx
+ * @return {number} Number of levels below the item at idx, 0 if it has no children
+ */
+export function getSubtreeHeight(depths, idx) {
+  const end = getSubtreeEnd(depths, idx);
+  let deepest = depths[idx];
+  for (let i = idx + 1; i < end; i++) {
+    deepest = Math.max(deepest, depths[i]);
+  }
+  return deepest - depths[idx];
+}
+
+/**
+ * @param {Array<number>} depths
+ * @param {number} idx
+ * @return {number} Index of the parent of the item at idx, -1 for top level items
+ */
+export function getParentIndex(depths, idx) {
+  for (let i = idx - 1; i >= 0; i--) {
+    if (depths[i] < depths[idx]) return i;
+  }
+  return -1;
+}
+
+/**
+ * @param {Array<number>} depths
+ * @param {number} parent Index of the parent, -1 for the top level items
+ * @return {Array<number>} Indexes of the parent's children
+ */
+export function getChildIndexes(depths, parent) {
+  const depth = parent < 0 ? 0 : depths[parent] + 1;
+  const end = parent < 0 ? depths.length : getSubtreeEnd(depths, parent);
+  const indexes = [];
+  for (let i = parent + 1; i < end; i++) {
+    if (depths[i] === depth) indexes.push(i);
+  }
+  return indexes;
+}
+
+/**
+ * Level of an item inserted at idx: the level of the item it is inserted in front of, or the top
+ * level at the end of the list
+ * @param {Array<number>} depths
+ * @param {number} idx
+ * @return {{depth: number, siblings: number}} siblings is the number of items already at that level
+ */
+export function getDropLevel(depths, idx) {
+  const depth = idx < depths.length ? depths[idx] : 0;
+  let parent = idx - 1;
+  while (parent >= 0 && depths[parent] >= depth) parent--;
+  return { depth, siblings: getChildIndexes(depths, parent).length };
+}
+
+/**
+ * Level and position among its siblings of each item, e.g. for aria-level / aria-posinset
+ * @param {Array<number>} depths
+ * @return {Array<{level: number, position: number, siblings: number}>} level and position start at 1
+ */
+export function getTreePositions(depths) {
+  // position and index of the last item seen at each depth
+  const counters = [];
+  const parents = [];
+  const sizes = new Map();
+  const positions = depths.map((depth, i) => {
+    counters.length = depth + 1;
+    counters[depth] = (counters[depth] || 0) + 1;
+    const parent = depth ? parents[depth - 1] : -1;
+    parents[depth] = i;
+    sizes.set(parent, counters[depth]);
+    return { level: depth + 1, position: counters[depth], parent };
+  });
+  return positions.map(({ level, position, parent }) => ({
+    level,
+    position,
+    siblings: sizes.get(parent),
+  }));
+}
@@ -0,0 +1,178 @@
+// local deps
+import { defaultTranslate } from './i18n.util';
+import { digitsOnly } from '../../util/string.util';
+
+// CONSTANTS
+const PATTERNS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  phone: /^\+?[0-9 ().-]+$/,
+  integer: /^[-+]?\d+$/,
+  number: /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i,
+};
+
+/**
+ * @callback ItemValidatorFn
+ * @param {string} value Item about to be added to the list
+ * @param {Array} list Current list
+ * @param {{signal: AbortSignal, t: TranslateFn}} [options] signal is aborted if the check is cancelled (e.g. the input
+ * changed), t translates messages to the list's locale
+ * @return {string|boolean|null|undefined|Promise<string|boolean|null|undefined>}
+ * A string (error message) or false if the item is invalid, otherwise the item is accepted
+ */
+
+/**
+ * Translate key with the validator options' translate function, in English if there is none
+ * @param {{t: TranslateFn}} [options]
+ * @param {string} key
+ * @param {Object} [values]
+ * @return {string}
+ */
+function translate(options, key, values) {
+  return ((options && options.t) || defaultTranslate)(key, values);
+}
+
+/**
+ * Build a validator that accepts any value matching pattern
+ * @param {RegExp} pattern
+ * @param {string} [message] Error message to show when the value does not match, default "Input must match
+ * {pattern}" in the list's locale
+ * @return {ItemValidatorFn}
+ */
+export function matches(pattern, message) {
+  return (value, list, options) => {
+    // reset lastIndex in case pattern is global / sticky
+    pattern.lastIndex = 0;
+    return (
+      pattern.test(value) ||
+      message ||
+      translate(options, 'mustMatch', { pattern: String(pattern) })
+    );
+  };
+}
+
+/**
+ * Build a validator that accepts values matching pattern, with a translated error message
+ * @param {RegExp} pattern
+ * @param {string} key Message key
+ * @return {ItemValidatorFn}
+ */
+function matchesKey(pattern, key) {
+  return (value, list, options) =>
+    pattern.test(value) || translate(options, key);
+}
+
+/**
+ * Return true if str parses as an absolute http(s) URL
+ * @param {string} str
+ * @return {boolean}
+ */
+function isUrl(str) {
+  try {
+    return ['http:', 'https:'].includes(new URL(str).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Return true if str looks like a phone number (7 - 15 digits, E.164 max length)
+ * @param {string} str
+ * @return {boolean}
+ */
+function isPhone(str) {
+  if (!PATTERNS.phone.test(str)) return false;
+  const digits = digitsOnly(str);
+  return digits.length >= 7 && digits.length <= 15;
+}
+
+/**
+ * Built-in validators, selectable via the itemType prop
+ * @type {Object<string, ItemValidatorFn>}
+ */
+export const ITEM_TYPES = {
+  email: matchesKey(PATTERNS.email, 'invalidEmail'),
+  phone: (value, list, options) =>
+    isPhone(value) || translate(options, 'invalidPhone'),
+  integer: matchesKey(PATTERNS.integer, 'invalidInteger'),
+  number: matchesKey(PATTERNS.number, 'invalidNumber'),
+  url: (value, list, options) =>
+    isUrl(value) || translate(options, 'invalidUrl'),
+};
+
+/**
+ * Normalize the itemType / validate props into a flat array of validator fns
+ * @param {string} [itemType] Key of ITEM_TYPES
+ * @param {ItemValidatorFn|RegExp|Array<ItemValidatorFn|RegExp>} [validate]
+ * @return {Array<ItemValidatorFn>}
+ */
+export function getItemValidators(itemType, validate) {
+  const validators = [];
+  if (itemType) {
+    if (!ITEM_TYPES[itemType]) throw new Error(`Unknown itemType ${itemType}`);
+    validators.push(ITEM_TYPES[itemType]);
+  }
+  [].concat(validate || []).forEach((v) => {
+    validators.push(v instanceof RegExp ? matches(v) : v);
+  });
+  return validators;
+}
+
+/**
+ * Run validators against value in order, stopping at the first failure.
+ * Validators may be sync or async, a thrown error / rejected promise counts
+ * as a failure.
+ * @param {string} value
+ * @param {Array<ItemValidatorFn>} validators
+ * @param {Array} list
+ * @param {{signal: AbortSignal, t: TranslateFn}} [options] Passed through to each validator
+ * @return {Promise<string|null>} Resolves to an error message, or null if value is valid
+ */
+export async function validateItem(value, validators, list, options = {}) {
+  for (const validator of validators) {
+    // check was cancelled, skip any remaining (possibly expensive) validators
+    if (options.signal && options.signal.aborted) return null;
+    let result;
+    try {
+      result = await validator(value, list, options);
+    } catch (err) {
+      return (err && err.message) || translate(options, 'validationFailed');
+    }
+    if (typeof result === 'string') return result;
+    if (result === false) return translate(options, 'invalidItem');
+  }
+  return null;
+}
+
+/**
+ * Build a validator that only accepts suggested values
+ * @param {Array<string>|function(string): Promise<Array<string>>} suggestions Static suggestions, or an async
+ * function returning suggestions for a query
+ * @param {string} [message] default "Please choose one of the suggestions" in the list's locale
+ * @return {ItemValidatorFn}
+ */
+export function oneOf(suggestions, message) {
+  return (value, list, options) =>
+    Promise.resolve(
+      typeof suggestions === 'function' ? suggestions(value) : suggestions,
+    ).then(
+      (suggested) =>
+        (suggested || []).includes(value) ||
+        message ||
+        translate(options, 'chooseSuggestion'),
+    );
+}
+
+/**
+ * Validate the length of a whole list, used on blur / form submit and by the form library adapters
+ * @param {Array} list
+ * @param {{required: boolean, min: number, max: number}} [rules]
+ * @param {TranslateFn} [t] Translates the error message, default English
+ * @return {string|null} Error message, or null if the list is valid
+ */
+export function validateListLength(list, rules = {}, t = defaultTranslate) {
+  const { required, min, max } = rules;
+  if (required && !list.length) return t('listRequired');
+  if (list.length < min) return t('listMin', { min });
+  if (list.length > max) return t('listMax', { max });
+  return null;
+}
@@ -1,6 +1,14 @@
-const ObjectHelpers = require('./object.util');
+const ObjectHelpers = Object.assign(
+  {},
+  require('./object.util'),
+  require('./object.v8.util'),
+);
 const ArrayHelpers = require('./array.util');
-const StringHelpers = require('./string.util');
+const StringHelpers = Object.assign(
+  {},
+  require('./string.util'),
+  require('./string.v8.util'),
+);
 const FunctionHelpers = require('./function.util');
 const ProgramHelpers = require('./program.util');
 const TimeHelpers = require('./time.util');
@@ -235,21 +235,6 @@ function getNestedValue(obj, key) {
   return null;
 }
 
-/**
- * Browser*
- * Check if val is a readable stream type. NOTE FOR BROWSER! This
- * require statement must be filled or "stubbed" or webpack will break!
- * @param val
- */
-function isReadableStream(val) {
-  const stream = require('stream');
-  // check if require worked for browser compatibility
-  if (stream) {
-    return val instanceof stream.Readable;
-  }
-  return false;
-}
-
 /**
  * Object utility functions. Browser compatible.
  */
@@ -406,7 +391,6 @@ module.exports = {
   isFunction: val => typeof val === 'function',
   isPrimitive: val =>
     isBoolean(val) || isNumber(val) || isString(val) || isSymbol(val),
-  isReadableStream,
   isNonNativeClassInstance,
   isRegExp,
   jsonClone,
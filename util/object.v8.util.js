@@ -1,4 +1,5 @@
 const farmhash = require('farmhash');
+const stream = require('stream');
 
 /**
  * @callback ObjectHashFn
@@ -55,4 +56,13 @@ class GeneralSet {
   }
 }
 
-module.exports = { GeneralSet };
+/**
+ * Check if val is a readable stream type
+ * @param val
+ * @return {boolean}
+ */
+function isReadableStream(val) {
+  return val instanceof stream.Readable;
+}
+
+module.exports = { GeneralSet, isReadableStream };
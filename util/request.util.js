@@ -2,7 +2,8 @@
 const joi = require('@hapi/joi');
 const contentType = require('content-type');
 const fileType = require('file-type');
-const { isReadableStream, assignNonNullKeys } = require('./object.util');
+const { assignNonNullKeys } = require('./object.util');
+const { isReadableStream } = require('./object.v8.util');
 const { attachJSONStringify } = require('./error.util');
 
 // CONSTANTS
@@ -1,37 +1,9 @@
 /* eslint-disable no-useless-escape */
-// dependencies
-const util = require('util');
-const parseShell = require('shell-quote').parse;
-const levenshtein = require('fast-levenshtein');
-const { parsePhoneNumber, ParseError } = require('libphonenumber-js/max');
-const querystring = require('querystring');
-
 // module deps
 const { pipe } = require('./function.util');
-const {
-  isString,
-  sortObjectKeys,
-  isFunction,
-  assignNonNullKeys,
-} = require('./object.util');
+const { isString } = require('./object.util');
 
 // CONSTANTS
-/**
- * @typedef {Object} UtilInspectDefaultOptions
- * @property {boolean|null} [showHidden] default=false
- * @property {boolean|null} [depth] default=null
- * @property {boolean|null} [colors] default=true
- * @property {number|null} [maxArrayLength] default=10
- *
- * @type {UtilInspectDefaultOptions}
- */
-const INSPECT_OPTIONS = {
-  showHidden: false,
-  depth: null,
-  colors: true,
-  maxArrayLength: 10,
-};
-
 const PATTERNS = {
   quoted: /"(.*?)"|'(.*?)'/g,
   cmdOption: /--([a-zA-Z0-9]*?)(?: |=)(.*)/,
@@ -44,45 +16,6 @@ const PATTERNS = {
 };
 
 // FUNCTIONS
-/**
- * Pretty print a js object using util.inspect. If msg is not an object or function,
- * or is null, return it unchanged.
- * @param {Object} 				msg 					Object to pretty print
- * @param {boolean} 			sort 					If msg is an object, sort its keys. If it is an array, sort it
- * @param {Function} 			compareFn 				If msg is an array and sort is true, sort msg using compareFn -- msg.sort(compareFn)
- * @param {UtilInspectDefaultOptions} 	_inspectOptions 		Optional pass down arguments to util.inspect
- * @return {string|*}
- */
-function formatObj(
-  msg,
-  sort = false,
-  compareFn = null,
-  _inspectOptions = INSPECT_OPTIONS,
-) {
-  if (!msg) return msg;
-  const inspectOptions = Object.assign(
-    {},
-    INSPECT_OPTIONS,
-    assignNonNullKeys({}, _inspectOptions),
-  );
-  if (typeof msg === 'object' && !Array.isArray(msg) && !isFunction(msg)) {
-    if (sort) {
-      return util.inspect(sortObjectKeys(msg), inspectOptions);
-    }
-
-    return util.inspect(msg, inspectOptions);
-  } else if (Array.isArray(msg)) {
-    if (sort) {
-      const ordered = compareFn ? msg.sort(compareFn) : msg.sort();
-      return util.inspect(ordered, inspectOptions);
-    }
-    return util.inspect(msg, inspectOptions);
-  } else if (isFunction(msg)) {
-    return msg.toString(); // note - this only works in V8 compatible js engines! function.toString() is not standard
-  }
-  return msg;
-}
-
 /**
  * Escape a string for use as as RegExp
  * @param str
@@ -96,13 +29,20 @@ function escapeRegExp(str) {
 /**
  * Unicode normalize a string and remove diacritics / accents
  * @param {string} str Input string
+ * @param {boolean} [keepDiacritics] default=false Only normalize str to its
+ * composed form (NFC), e.g. "e" + combining acute accent becomes "é"
  * @return {string|null} Returns null (if input is null), otherwise result string
  */
-function unicodeNormalize(str) {
+function unicodeNormalize(str, keepDiacritics = false) {
   if (!str) return null;
+  if (keepDiacritics) return str.normalize('NFC');
   return str.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
 }
 
+// Intl.Collator instances by locale + options, creating one is slow compared
+// to a comparison (e.g. when sorting with strCompareIntl)
+const COLLATORS = new Map();
+
 /**
  * Compare 2 strings in an internationally-compatible way.
  * @param {string} a
@@ -117,7 +57,11 @@ function strCompareIntl(
   countryCode = 'us',
   options = { sensitivity: 'base', usage: 'search', ignorePunctuation: true },
 ) {
-  return new Intl.Collator(countryCode, options).compare(a, b);
+  const key = `${countryCode}:${JSON.stringify(options)}`;
+  if (!COLLATORS.has(key)) {
+    COLLATORS.set(key, new Intl.Collator(countryCode, options));
+  }
+  return COLLATORS.get(key).compare(a, b);
 }
 
 /**
@@ -196,97 +140,6 @@ function digitsOnly(str) {
   return str.replace(PATTERNS.digitsOnly, '');
 }
 
-/**
- * @param {string} str
- * @param {string} country ISO Alpha-2 country code
- * @param {boolean} extended Return a parsing result even if the number is invalid (such as invalid country)
- * @return {PhoneNumber|ParseError}
- */
-function parsePhoneNumberOrError(str, country = undefined, extended = true) {
-  try {
-    return parsePhoneNumber(str, country, {
-      extended,
-    });
-  } catch (err) {
-    return err;
-  }
-}
-
-/**
- * Attempt to parse 2 phone numbers, a, b, and return true if and only if
- * they can both be parsed (see libphonenumber-js) and they are equal.
- * If ignoreCountry is specified, any country codes parsed from (a, b) will
- * be ignored.
- *
- * WARNING: If only 1 number has a country code, and the other is otherwise
- * equal, this will return true, even if ignoreCountry is false.
- *
- * @param a
- * @param b
- * @param ignoreCountry
- * @param aCountry 						Specify a country to parse a with
- * @param bCountry 						Specify a country to parse b with
- * @return {boolean}
- */
-function phoneNumbersEqual(
-  a,
-  b,
-  ignoreCountry = false,
-  aCountry = undefined,
-  bCountry = undefined,
-) {
-  if (!isString(a) || !isString(b)) return false;
-  a = a.replace(PATTERNS.digitsAndPlusOnly, '');
-  b = b.replace(PATTERNS.digitsAndPlusOnly, '');
-  if (a === b) return true;
-  let aParsed = aCountry
-    ? parsePhoneNumberOrError(a, aCountry)
-    : parsePhoneNumberOrError(a);
-  let bParsed = bCountry
-    ? parsePhoneNumberOrError(b, bCountry)
-    : parsePhoneNumberOrError(b);
-  if (aParsed instanceof ParseError && bParsed instanceof ParseError) {
-    return false;
-  }
-  // try to infer the country from a successfully parsed #
-  if (bParsed instanceof ParseError) {
-    bParsed = parsePhoneNumberOrError(b, aParsed.country);
-  } else if (aParsed instanceof ParseError) {
-    aParsed = parsePhoneNumberOrError(a, bParsed.country);
-  }
-  if (aParsed instanceof ParseError || bParsed instanceof ParseError)
-    return false;
-  if (ignoreCountry) {
-    return aParsed.formatNational() === bParsed.formatNational();
-  }
-  // ignoreCountry is true, return if the numbers are equal (.number is E.164 format)
-  if (aParsed.country !== '001' && bParsed.country !== '001') {
-    return aParsed.number === bParsed.number;
-  }
-  // a or b has country === '001', return comparison on national
-  return aParsed.formatNational() === bParsed.formatNational();
-}
-
-/**
- * Format a phone number. If the phone number cannot be parsed from
- * text, print the error and return null. Otherwise, return a formatted
- * (international) phone number
- *
- * @param text
- * @param countryCode
- * @param throwErr 				If true, throw parsing errors
- */
-function formatPhone(text, countryCode, throwErr = false) {
-  if (!countryCode) return null;
-  try {
-    const parsed = parsePhoneNumber(text, countryCode);
-    return parsed.formatInternational();
-  } catch (err) {
-    if (throwErr) throw err;
-    return null;
-  }
-}
-
 /**
  * Return a lowercased string
  *
@@ -368,95 +221,6 @@ function extractMatches(pattern, str) {
   return [...str.matchAll(pattern)];
 }
 
-/**
- * Parse command options / flags from a string.
- *
- * @param str                    string to extract.
- *                                e.g. '--someoption=somevalue'
- * @return {{}|null}            Extracted flag object
- *                                {
- * 								 	someoption: 'somevalue'
- * 								}
- */
-function parseCmdFlags(str) {
-  const optionMatch = str.match(PATTERNS.cmdOption);
-  if (optionMatch) {
-    return {
-      [optionMatch[1]]: optionMatch[2],
-    };
-  }
-  const flagMatch = str.match(PATTERNS.cmdFlag);
-  if (flagMatch) {
-    return {
-      [flagMatch[1]]: true,
-    };
-  }
-  return null;
-}
-
-/**
- * Parse a command string with options
- *
- * Input:
- * env {
- *     VAR: 'this is an env variable'
- * }
- * cmd --option1=$VAR --option2='another value'
- *
- * Output:
- * {
- *     command: 'cmd',
- *     option1: 'this is an env variable',
- *     option2: 'another value',
- * }
- *
- * @param str                    Input string
- * @param env                    Object with environment variables for injection
- * @return {Object}            Returns an object containing the command
- *                                and any options
- *
- */
-function parseCommandString(str, env = {}) {
-  const cmdArr = parseShell(str, env);
-  if (cmdArr.length === 0) return { command: null };
-  const command = cmdArr[0];
-  const result = {
-    command,
-    args: [],
-  };
-  for (const arg of cmdArr.slice(1)) {
-    const flag = parseCmdFlags(arg);
-    if (flag) {
-      Object.assign(result, flag);
-    } else if (arg) {
-      result.args.push(arg);
-    }
-  }
-  return result;
-}
-
-/**
- * Return true if two strings are "close" within
- * given edit distance
- *
- * @param  {String}  a
- * @param  {String}  b
- * @param  {Number}  distance    Edit distance (integer, recommended == 2)
- * @param  {Boolean} useCollator Use language collator when comparing edit distance
- * @return {Boolean}
- */
-function stringClose(a, b, distance = 2, useCollator = true) {
-  // both are null --> true, otherwise false
-  if (!a || !b) return !(a || b);
-  a = normalizeString(a);
-  b = normalizeString(b);
-  return (
-    levenshtein.get(a, b, { useCollator }) <= distance ||
-    a.includes(b) ||
-    b.includes(a)
-  );
-}
-
 /**
  * Trim trailing slash from url
  *
@@ -545,34 +309,6 @@ function trimCommas(text) {
     .join(', ');
 }
 
-/**
- * Build a JS URL object from specified config
- * @param config
- * @return {URL}
- */
-function urlBuilder(config) {
-  let { protocol, host, port, path, queryParams, hash } = config;
-  let result = '';
-  if (protocol) result += protocol + '://';
-  if (host) {
-    if (host.endsWith('/')) host = host.slice(0, -1);
-    result += host;
-  }
-  if (port) result += `:${port}`;
-  if (path) {
-    if (path.startsWith('/')) path = path.slice(1);
-    result += `/${path}`;
-  }
-  if (queryParams) {
-    result += querystring.stringify(queryParams);
-  }
-  if (hash) {
-    if (hash.startsWith('#')) hash = hash.slice(1);
-    result += `#${hash}`;
-  }
-  return URL(result);
-}
-
 /**
  * @description
  * The splice() method changes the content of a string by removing a range of
@@ -590,6 +326,10 @@ function spliceStr(str, start, delCount, newSubStr) {
   );
 }
 
+/**
+ * String utility functions. Browser compatible, see string.v8.util.js for the
+ * rest.
+ */
 module.exports = {
   unicodeNormalize,
   lowerCase,
@@ -597,21 +337,15 @@ module.exports = {
   normalizeString,
   extractMatches,
   PATTERNS,
-  parseCommandString,
-  parseCmdFlags,
   filterAscii,
   escapeRegExp,
-  stringClose,
   trimUrl,
   prependComma,
-  phoneNumbersEqual,
-  formatPhone,
-  urlBuilder,
   removeTextFromArrayEntries,
   trimCommas,
-  formatObj,
   spliceStr,
   filterNonAlphaNumeric,
   collapseWhitespace,
+  trim,
   strCompareIntl,
 };
@@ -0,0 +1,293 @@
+// dependencies
+const util = require('util');
+const parseShell = require('shell-quote').parse;
+const levenshtein = require('fast-levenshtein');
+const { parsePhoneNumber, ParseError } = require('libphonenumber-js/max');
+const querystring = require('querystring');
+
+// module deps
+const {
+  isString,
+  sortObjectKeys,
+  isFunction,
+  assignNonNullKeys,
+} = require('./object.util');
+const { PATTERNS, normalizeString } = require('./string.util');
+
+// NON-BROWSER COMPATIBLE STRING UTILITIES! They use node built-ins or
+// dependencies that are not bundled into the front end.
+
+// CONSTANTS
+/**
+ * @typedef {Object} UtilInspectDefaultOptions
+ * @property {boolean|null} [showHidden] default=false
+ * @property {boolean|null} [depth] default=null
+ * @property {boolean|null} [colors] default=true
+ * @property {number|null} [maxArrayLength] default=10
+ *
+ * @type {UtilInspectDefaultOptions}
+ */
+const INSPECT_OPTIONS = {
+  showHidden: false,
+  depth: null,
+  colors: true,
+  maxArrayLength: 10,
+};
+
+// FUNCTIONS
+/**
+ * Pretty print a js object using util.inspect. If msg is not an object or function,
+ * or is null, return it unchanged.
+ * @param {Object} 				msg 					Object to pretty print
+ * @param {boolean} 			sort 					If msg is an object, sort its keys. If it is an array, sort it
+ * @param {Function} 			compareFn 				If msg is an array and sort is true, sort msg using compareFn -- msg.sort(compareFn)
+ * @param {UtilInspectDefaultOptions} 	_inspectOptions 		Optional pass down arguments to util.inspect
+ * @return {string|*}
+ */
+function formatObj(
+  msg,
+  sort = false,
+  compareFn = null,
+  _inspectOptions = INSPECT_OPTIONS,
+) {
+  if (!msg) return msg;
+  const inspectOptions = Object.assign(
+    {},
+    INSPECT_OPTIONS,
+    assignNonNullKeys({}, _inspectOptions),
+  );
+  if (typeof msg === 'object' && !Array.isArray(msg) && !isFunction(msg)) {
+    if (sort) {
+      return util.inspect(sortObjectKeys(msg), inspectOptions);
+    }
+
+    return util.inspect(msg, inspectOptions);
+  } else if (Array.isArray(msg)) {
+    if (sort) {
+      const ordered = compareFn ? msg.sort(compareFn) : msg.sort();
+      return util.inspect(ordered, inspectOptions);
+    }
+    return util.inspect(msg, inspectOptions);
+  } else if (isFunction(msg)) {
+    return msg.toString(); // note - this only works in V8 compatible js engines! function.toString() is not standard
+  }
+  return msg;
+}
+
+/**
+ * @param {string} str
+ * @param {string} country ISO Alpha-2 country code
+ * @param {boolean} extended Return a parsing result even if the number is invalid (such as invalid country)
+ * @return {PhoneNumber|ParseError}
+ */
+function parsePhoneNumberOrError(str, country = undefined, extended = true) {
+  try {
+    return parsePhoneNumber(str, country, {
+      extended,
+    });
+  } catch (err) {
+    return err;
+  }
+}
+
+/**
+ * Attempt to parse 2 phone numbers, a, b, and return true if and only if
+ * they can both be parsed (see libphonenumber-js) and they are equal.
+ * If ignoreCountry is specified, any country codes parsed from (a, b) will
+ * be ignored.
+ *
+ * WARNING: If only 1 number has a country code, and the other is otherwise
+ * equal, this will return true, even if ignoreCountry is false.
+ *
+ * @param a
+ * @param b
+ * @param ignoreCountry
+ * @param aCountry 						Specify a country to parse a with
+ * @param bCountry 						Specify a country to parse b with
+ * @return {boolean}
+ */
+function phoneNumbersEqual(
+  a,
+  b,
+  ignoreCountry = false,
+  aCountry = undefined,
+  bCountry = undefined,
+) {
+  if (!isString(a) || !isString(b)) return false;
+  a = a.replace(PATTERNS.digitsAndPlusOnly, '');
+  b = b.replace(PATTERNS.digitsAndPlusOnly, '');
+  if (a === b) return true;
+  let aParsed = aCountry
+    ? parsePhoneNumberOrError(a, aCountry)
+    : parsePhoneNumberOrError(a);
+  let bParsed = bCountry
+    ? parsePhoneNumberOrError(b, bCountry)
+    : parsePhoneNumberOrError(b);
+  if (aParsed instanceof ParseError && bParsed instanceof ParseError) {
+    return false;
+  }
+  // try to infer the country from a successfully parsed #
+  if (bParsed instanceof ParseError) {
+    bParsed = parsePhoneNumberOrError(b, aParsed.country);
+  } else if (aParsed instanceof ParseError) {
+    aParsed = parsePhoneNumberOrError(a, bParsed.country);
+  }
+  if (aParsed instanceof ParseError || bParsed instanceof ParseError)
+    return false;
+  if (ignoreCountry) {
+    return aParsed.formatNational() === bParsed.formatNational();
+  }
+  // ignoreCountry is true, return if the numbers are equal (.number is E.164 format)
+  if (aParsed.country !== '001' && bParsed.country !== '001') {
+    return aParsed.number === bParsed.number;
+  }
+  // a or b has country === '001', return comparison on national
+  return aParsed.formatNational() === bParsed.formatNational();
+}
+
+/**
+ * Format a phone number. If the phone number cannot be parsed from
+ * text, print the error and return null. Otherwise, return a formatted
+ * (international) phone number
+ *
+ * @param text
+ * @param countryCode
+ * @param throwErr 				If true, throw parsing errors
+ */
+function formatPhone(text, countryCode, throwErr = false) {
+  if (!countryCode) return null;
+  try {
+    const parsed = parsePhoneNumber(text, countryCode);
+    return parsed.formatInternational();
+  } catch (err) {
+    if (throwErr) throw err;
+    return null;
+  }
+}
+
+/**
+ * Parse command options / flags from a string.
+ *
+ * @param str                    string to extract.
+ *                                e.g. '--someoption=somevalue'
+ * @return {{}|null}            Extracted flag object
+ *                                {
+ * 								 	someoption: 'somevalue'
+ * 								}
+ */
+function parseCmdFlags(str) {
+  const optionMatch = str.match(PATTERNS.cmdOption);
+  if (optionMatch) {
+    return {
+      [optionMatch[1]]: optionMatch[2],
+    };
+  }
+  const flagMatch = str.match(PATTERNS.cmdFlag);
+  if (flagMatch) {
+    return {
+      [flagMatch[1]]: true,
+    };
+  }
+  return null;
+}
+
+/**
+ * Parse a command string with options
+ *
+ * Input:
+ * env {
+ *     VAR: 'this is an env variable'
+ * }
+ * cmd --option1=$VAR --option2='another value'
+ *
+ * Output:
+ * {
+ *     command: 'cmd',
+ *     option1: 'this is an env variable',
+ *     option2: 'another value',
+ * }
+ *
+ * @param str                    Input string
+ * @param env                    Object with environment variables for injection
+ * @return {Object}            Returns an object containing the command
+ *                                and any options
+ *
+ */
+function parseCommandString(str, env = {}) {
+  const cmdArr = parseShell(str, env);
+  if (cmdArr.length === 0) return { command: null };
+  const command = cmdArr[0];
+  const result = {
+    command,
+    args: [],
+  };
+  for (const arg of cmdArr.slice(1)) {
+    const flag = parseCmdFlags(arg);
+    if (flag) {
+      Object.assign(result, flag);
+    } else if (arg) {
+      result.args.push(arg);
+    }
+  }
+  return result;
+}
+
+/**
+ * Return true if two strings are "close" within
+ * given edit distance
+ *
+ * @param  {String}  a
+ * @param  {String}  b
+ * @param  {Number}  distance    Edit distance (integer, recommended == 2)
+ * @param  {Boolean} useCollator Use language collator when comparing edit distance
+ * @return {Boolean}
+ */
+function stringClose(a, b, distance = 2, useCollator = true) {
+  // both are null --> true, otherwise false
+  if (!a || !b) return !(a || b);
+  a = normalizeString(a);
+  b = normalizeString(b);
+  return (
+    levenshtein.get(a, b, { useCollator }) <= distance ||
+    a.includes(b) ||
+    b.includes(a)
+  );
+}
+
+/**
+ * Build a JS URL object from specified config
+ * @param config
+ * @return {URL}
+ */
+function urlBuilder(config) {
+  let { protocol, host, port, path, queryParams, hash } = config;
+  let result = '';
+  if (protocol) result += protocol + '://';
+  if (host) {
+    if (host.endsWith('/')) host = host.slice(0, -1);
+    result += host;
+  }
+  if (port) result += `:${port}`;
+  if (path) {
+    if (path.startsWith('/')) path = path.slice(1);
+    result += `/${path}`;
+  }
+  if (queryParams) {
+    result += querystring.stringify(queryParams);
+  }
+  if (hash) {
+    if (hash.startsWith('#')) hash = hash.slice(1);
+    result += `#${hash}`;
+  }
+  return URL(result);
+}
+
+module.exports = {
+  formatObj,
+  parseCommandString,
+  parseCmdFlags,
+  stringClose,
+  phoneNumbersEqual,
+  formatPhone,
+  urlBuilder,
+};
@@ -9,8 +9,8 @@ const pe = new PrettyError();
 const Promise = require('bluebird');
 
 // module deps
-const { formatObj } = require('./string.util');
-const { parseCmdFlags, parseCommandString } = require('./string.util');
+const { formatObj } = require('./string.v8.util');
+const { parseCmdFlags, parseCommandString } = require('./string.v8.util');
 const { uniqueByKey, uniqueByKeys } = require('./array.util');
 const {
   setupProgram: setupProgramUtilFn,